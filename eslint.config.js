@@ -22,6 +22,11 @@ export default [
       ],
     },
   },
+  {
+    // The match server and the headless tests run in Node
+    files: ["server/**/*.js", "test/**/*.js"],
+    languageOptions: { globals: globals.node },
+  },
   // Apply prettier config last to override any conflicting rules
   pluginJs.configs.recommended,
   prettierConfig,
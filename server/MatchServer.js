@@ -0,0 +1,228 @@
+import { readFile } from "node:fs/promises";
+import { createLevel } from "../src/js/game/LevelConfig.js";
+import { ShotVerifier } from "./ShotVerifier.js";
+
+/**
+ * Matchmaking and match state for online 1v1 races.
+ *
+ * Players asking for the same level are paired in the order they join.
+ * During a match each player's shots are checked by ShotVerifier, only
+ * verified makes count towards the race, and ball positions are relayed to
+ * the opponent as a ghost.
+ */
+export class MatchServer {
+  constructor(options = {}) {
+    this.target = options.target || 5; // Makes needed to win
+    this.levelsDir = options.levelsDir; // Folder with the level JSON files
+    this.verifier = new ShotVerifier(options.verifier);
+
+    this.waiting = new Map(); // Level id -> player waiting for an opponent
+    this.levels = new Map(); // Level id -> loaded level
+    this.nextPlayerId = 1;
+  }
+
+  /**
+   * Set up a newly connected socket
+   * @param {WebSocket} socket
+   */
+  handleConnection(socket) {
+    const player = {
+      id: this.nextPlayerId++,
+      socket,
+      levelId: null,
+      match: null,
+      makes: 0,
+      shots: new Map(), // Unresolved shot id -> { time, isValid, goesIn }
+      lastShotTime: -Infinity,
+    };
+
+    socket.on("message", (data) => {
+      try {
+        this.handleMessage(player, JSON.parse(data));
+      } catch (error) {
+        console.error(`Bad message from player ${player.id}:`, error);
+      }
+    });
+    socket.on("close", () => this.handleDisconnect(player));
+  }
+
+  handleMessage(player, message) {
+    switch (message.type) {
+      case "join":
+        return this.handleJoin(player, message);
+      case "shot":
+        return this.handleShot(player, message);
+      case "result":
+        return this.handleResult(player, message);
+      case "ball":
+        return this.handleBall(player, message);
+      default:
+        console.log(
+          `Unknown message type from player ${player.id}:`,
+          message.type,
+        );
+    }
+  }
+
+  async handleJoin(player, message) {
+    if (player.levelId) return;
+
+    const levelId = /^[\w-]+$/.test(message.level) ? message.level : "default";
+    player.levelId = levelId;
+
+    try {
+      await this.getLevel(levelId);
+    } catch (error) {
+      console.error(`Could not load level ${levelId}:`, error);
+      send(player, "error", { reason: "unknown level" });
+      player.socket.close();
+      return;
+    }
+
+    // Pair with whoever is waiting on this level, or wait for someone
+    const opponent = this.waiting.get(levelId);
+    if (opponent && opponent.socket.readyState === opponent.socket.OPEN) {
+      this.waiting.delete(levelId);
+      this.startMatch(opponent, player);
+    } else {
+      this.waiting.set(levelId, player);
+      send(player, "waiting");
+    }
+  }
+
+  startMatch(a, b) {
+    const match = { players: [a, b], isOver: false };
+    a.match = match;
+    b.match = match;
+
+    console.log(`Match started: player ${a.id} vs player ${b.id}`);
+    send(a, "matched", { target: this.target });
+    send(b, "matched", { target: this.target });
+  }
+
+  handleShot(player, message) {
+    if (!player.match || player.match.isOver) return;
+
+    // Loaded when the player joined
+    const level = this.levels.get(player.levelId);
+    const now = Date.now();
+    const reason = this.verifier.checkShot(
+      level,
+      message,
+      now - player.lastShotTime,
+    );
+
+    player.lastShotTime = now;
+    player.shots.set(message.shotId, {
+      time: now,
+      isValid: reason === null,
+      goesIn: reason === null && this.verifier.isMake(level, message),
+    });
+
+    // Shots whose result never arrives are dropped once they are too old
+    // to count, so the map stays small
+    player.shots.forEach((shot, shotId) => {
+      if (now - shot.time > this.verifier.config.maxShotDuration) {
+        player.shots.delete(shotId);
+      }
+    });
+
+    if (reason) {
+      send(player, "rejected", { shotId: message.shotId, reason });
+    }
+  }
+
+  handleResult(player, message) {
+    if (!player.match || player.match.isOver) return;
+
+    // Each shot is resolved once, by its first result
+    const shot = player.shots.get(message.shotId);
+    player.shots.delete(message.shotId);
+    if (!message.made) return;
+
+    const reason = this.verifier.checkMake(shot, Date.now());
+    if (reason) {
+      send(player, "rejected", { shotId: message.shotId, reason });
+      return;
+    }
+
+    player.makes++;
+    this.sendScores(player.match);
+
+    if (player.makes >= this.target) {
+      this.finishMatch(player.match, player);
+    }
+  }
+
+  handleBall(player, message) {
+    const opponent = getOpponent(player);
+    if (!opponent || !isNumbers(message.position, 3)) return;
+
+    send(opponent, "ghost", {
+      position: message.position,
+      quaternion: isNumbers(message.quaternion, 4)
+        ? message.quaternion
+        : [0, 0, 0, 1],
+    });
+  }
+
+  handleDisconnect(player) {
+    if (this.waiting.get(player.levelId) === player) {
+      this.waiting.delete(player.levelId);
+    }
+
+    const opponent = getOpponent(player);
+    if (opponent && !player.match.isOver) {
+      player.match.isOver = true;
+      send(opponent, "opponent-left");
+    }
+  }
+
+  sendScores(match) {
+    const [a, b] = match.players;
+    send(a, "score", { you: a.makes, opponent: b.makes });
+    send(b, "score", { you: b.makes, opponent: a.makes });
+  }
+
+  finishMatch(match, winner) {
+    match.isOver = true;
+    match.players.forEach((player) => {
+      send(player, "finished", {
+        winner: player === winner ? "you" : "opponent",
+      });
+    });
+    console.log(`Match over: player ${winner.id} wins`);
+  }
+
+  // Load (and cache) a level the same way the client does
+  async getLevel(levelId) {
+    if (!this.levels.has(levelId)) {
+      let level = createLevel();
+      if (levelId !== "default" && this.levelsDir) {
+        const file = new URL(`${levelId}.json`, this.levelsDir);
+        level = createLevel(JSON.parse(await readFile(file, "utf8")));
+      }
+      this.levels.set(levelId, level);
+    }
+    return this.levels.get(levelId);
+  }
+}
+
+function send(player, type, data = {}) {
+  if (player.socket.readyState === player.socket.OPEN) {
+    player.socket.send(JSON.stringify({ type, ...data }));
+  }
+}
+
+function getOpponent(player) {
+  if (!player.match) return null;
+  return player.match.players.find((other) => other !== player) || null;
+}
+
+function isNumbers(value, count) {
+  return (
+    Array.isArray(value) &&
+    value.length === count &&
+    value.every((n) => Number.isFinite(n))
+  );
+}
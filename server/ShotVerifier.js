@@ -0,0 +1,251 @@
+import * as THREE from "three";
+import { predictFlight } from "../src/js/utils/ballistics.js";
+import { HoopMotion } from "../src/js/game/HoopMotion.js";
+
+/**
+ * Server-side checks that a reported make could have come from the shot the
+ * client submitted. The shot is flown with the same ballistics the client's
+ * aim guide uses (utils/ballistics predictFlight, bouncing off the rim and
+ * backboard) from the ball's position and velocity at release, and a make
+ * only counts if the ball drops down through the rim.
+ *
+ * This is an approximation of the client's physics, not a replay of it:
+ * predictFlight leaves out friction at contacts, so a shot that touches the
+ * rim can be judged wrongly either way. Clean makes and clear misses agree;
+ * a make that rattles in may be turned down, and the odd miss off the rim
+ * let through.
+ *
+ * On a moving hoop the client also reports how far along its path the hoop
+ * was at release (`hoopTime`), and the hoop follows the path during the
+ * flight.
+ */
+export class ShotVerifier {
+  constructor(options = {}) {
+    this.config = {
+      maxImpulse: options.maxImpulse || 30, // Harder than any swipe can shoot
+      spawnTolerance: options.spawnTolerance || 0.5, // Metres from the level spawn
+      maxDriftSpeed: options.maxDriftSpeed || 0.5, // m/s sideways a dropped ball may still be moving
+      maxBounces: options.maxBounces || 30, // Rim and backboard contacts followed (a ball rolling round the rim touches every step)
+      minShotInterval: options.minShotInterval || 500, // ms between shots
+      maxShotDuration: options.maxShotDuration || 6000, // ms from shot to result
+    };
+  }
+
+  /**
+   * Check a submitted shot before it is accepted
+   * @param {Object} level The level both players are on
+   * @param {Object} shot { position, velocity, force, spin, hoopTime }
+   * @param {number} sinceLastShot ms since this player's previous shot
+   * @returns {string|null} Reason for rejecting, or null if the shot is fine
+   */
+  checkShot(level, shot, sinceLastShot) {
+    const { maxImpulse, spawnTolerance, maxDriftSpeed, minShotInterval } =
+      this.config;
+
+    if (
+      !isVector(shot.position) ||
+      !isVector(shot.velocity) ||
+      !isVector(shot.force) ||
+      (shot.spin != null && !isVector(shot.spin)) ||
+      (shot.hoopTime != null && !Number.isFinite(shot.hoopTime))
+    ) {
+      return "malformed shot";
+    }
+    if (sinceLastShot < minShotInterval) {
+      return "shots too close together";
+    }
+    if (length(shot.force) > maxImpulse) {
+      return "shot too hard";
+    }
+
+    // The ball is dropped at the spawn and bounces there, somewhere between
+    // the floor and the spawn height
+    const { spawn } = level.ball;
+    const fromSpawn = {
+      x: shot.position.x - spawn.x,
+      y: 0,
+      z: shot.position.z - spawn.z,
+    };
+    const lowest = FLOOR_Y + getBallConfig(level).radius;
+    if (
+      length(fromSpawn) > spawnTolerance ||
+      shot.position.y < lowest - spawnTolerance ||
+      shot.position.y > spawn.y + spawnTolerance
+    ) {
+      return "shot from the wrong spot";
+    }
+
+    // Bouncing only loses energy, so the ball can't be moving faster than
+    // the drop from the spawn allows, and it drops almost straight down
+    const { x, y, z } = shot.velocity;
+    const dropSpeed = Math.sqrt(
+      2 * -level.gravity.y * (spawn.y + spawnTolerance - shot.position.y),
+    );
+    if (Math.sqrt(x * x + z * z) > maxDriftSpeed || Math.abs(y) > dropSpeed) {
+      return "ball moving too fast";
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether a shot drops through the hoop, flown like Simulation.predictShot
+   * @param {Object} level
+   * @param {Object} shot { position, velocity, force, spin, hoopTime } (passed checkShot)
+   * @returns {boolean}
+   */
+  isMake(level, shot) {
+    const hoop = getHoopConfig(level);
+    const ball = getBallConfig(level);
+    const getHoopOffset = getHoopPath(level.hoop.motion, shot.hoopTime || 0);
+
+    // The impulse adds to the velocity the ball already had
+    const { points } = predictFlight({
+      position: shot.position,
+      velocity: {
+        x: shot.velocity.x + shot.force.x / ball.mass,
+        y: shot.velocity.y + shot.force.y / ball.mass,
+        z: shot.velocity.z + shot.force.z / ball.mass,
+      },
+      spin: shot.spin || null,
+      gravity: level.gravity,
+      radius: ball.radius,
+      mass: ball.mass,
+      linearDamping: BALL_LINEAR_DAMPING,
+      restitution: BALL_RESTITUTION,
+      magnusCoefficient: ball.magnusCoefficient,
+      colliders: getHoopColliders(hoop),
+      colliderOffset: getHoopOffset,
+      floorY: FLOOR_Y,
+      maxBounces: this.config.maxBounces,
+      step: STEP,
+    });
+
+    // Look for the ball centre crossing the rim's height on the way down,
+    // inside the rim (the same radius as Hoop's trigger zone)
+    let previous = shot.position;
+    return points.some((point, i) => {
+      const offset = getHoopOffset((i + 1) * STEP);
+      const rimY = hoop.position.y + offset.y;
+      const crossed = previous.y >= rimY && point.y < rimY;
+      previous = point;
+      if (!crossed) return false;
+
+      const dx = point.x - (hoop.position.x + offset.x);
+      const dz = point.z - (hoop.position.z + offset.z);
+      return Math.sqrt(dx * dx + dz * dz) < hoop.rimRadius * 0.8;
+    });
+  }
+
+  /**
+   * Check a reported make against its shot
+   * @param {Object|undefined} shot The stored shot ({ time, isValid, goesIn })
+   * @param {number} now Current time in ms
+   * @returns {string|null} Reason for rejecting, or null if the make counts
+   */
+  checkMake(shot, now) {
+    if (!shot) return "unknown shot";
+    if (!shot.isValid) return "shot was rejected";
+    if (!shot.goesIn) return "shot does not go in";
+    if (now - shot.time > this.config.maxShotDuration) {
+      return "result came too late";
+    }
+    return null;
+  }
+}
+
+// Must match Simulation's fixed step and floor height
+const STEP = 1 / 60;
+const FLOOR_Y = 0.5;
+
+// Must match the bodies Basketball and Hoop create (see their
+// getFlightParameters and getColliderShapes). The ball's linearDamping option
+// never reaches the Ammo body, so it flies undamped; the physics factory also
+// drops the rim's and backboard's restitution, so they don't bounce.
+const BALL_LINEAR_DAMPING = 0;
+const BALL_RESTITUTION = 0.85;
+const RIM_SEGMENTS = 12;
+
+// Ball options the flight depends on, with Basketball's defaults. The body is
+// 80% of the configured mass.
+function getBallConfig(level) {
+  return {
+    radius: level.ball.radius || 0.24,
+    mass: (level.ball.mass || 0.6) * 0.8,
+    magnusCoefficient: level.ball.magnusCoefficient || 0.004,
+  };
+}
+
+// Hoop options the colliders depend on, with Hoop's defaults
+function getHoopConfig(level) {
+  const { hoop } = level;
+  return {
+    position: hoop.position,
+    rimRadius: hoop.rimRadius || 0.4,
+    rimTubeRadius: hoop.rimTubeRadius || 0.05,
+    backboardWidth: hoop.backboardWidth || 2.4,
+    backboardHeight: hoop.backboardHeight || 1.35,
+    backboardThickness: hoop.backboardThickness || 0.05,
+    backboardDistFromRim: hoop.backboardDistFromRim || 0.15,
+  };
+}
+
+// The rim spheres and backboard at the hoop's base position, laid out like
+// Hoop.createRim and Hoop.createBackboard
+function getHoopColliders(hoop) {
+  const { position, rimRadius, rimTubeRadius } = hoop;
+  const colliders = [];
+
+  for (let i = 0; i < RIM_SEGMENTS; i++) {
+    const angle = (i / RIM_SEGMENTS) * Math.PI * 2;
+    colliders.push({
+      name: `rim-${i}`,
+      type: "sphere",
+      center: {
+        x: position.x + rimRadius * Math.cos(angle),
+        y: position.y,
+        z: position.z + rimRadius * Math.sin(angle),
+      },
+      radius: rimTubeRadius,
+      restitution: 0,
+    });
+  }
+
+  colliders.push({
+    name: "backboard",
+    type: "box",
+    center: {
+      x: position.x,
+      y: position.y + hoop.backboardHeight / 2 - rimRadius,
+      z: position.z - hoop.backboardDistFromRim - hoop.backboardThickness / 2,
+    },
+    halfSize: {
+      x: hoop.backboardWidth / 2,
+      y: hoop.backboardHeight / 2,
+      z: hoop.backboardThickness / 2,
+    },
+    restitution: 0,
+  });
+
+  return colliders;
+}
+
+// The hoop's offset from its base position, by seconds since the shot was
+// released (always zero for a static hoop)
+function getHoopPath(motionConfig, hoopTime) {
+  const motion = new HoopMotion(motionConfig);
+  const offset = new THREE.Vector3();
+  return (time) => motion.getPathOffset(hoopTime + time, offset);
+}
+
+function isVector(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    ["x", "y", "z"].every((key) => Number.isFinite(value[key]))
+  );
+}
+
+function length(v) {
+  return Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+}
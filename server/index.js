@@ -0,0 +1,17 @@
+import { WebSocketServer } from "ws";
+import { MatchServer } from "./MatchServer.js";
+
+// Reference server for online 1v1 races. Run with `npm run server`, then
+// open the game and pick "Online 1v1" (add ?server=ws://host:port to point
+// the client somewhere other than port 8080 on the same host).
+const port = parseInt(process.env.PORT) || 8080;
+
+const matchServer = new MatchServer({
+  target: parseInt(process.env.RACE_TARGET) || 5,
+  levelsDir: new URL("../public/levels/", import.meta.url),
+});
+
+const wss = new WebSocketServer({ port });
+wss.on("connection", (socket) => matchServer.handleConnection(socket));
+
+console.log(`Match server listening on ws://localhost:${port}`);
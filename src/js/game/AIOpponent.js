@@ -0,0 +1,105 @@
+import * as THREE from "three";
+
+// How a computer shooter misses: each shot starts from one that scores (see
+// utils/shotSolver) and is thrown with Gaussian error of these standard
+// deviations. `thinkTime` is the pause before it shoots, in ms.
+export const SKILL_LEVELS = {
+  rookie: {
+    label: "Rookie",
+    speedError: 0.035, // Fraction of the launch speed
+    aimError: 2.5, // Degrees left/right
+    angleError: 3, // Degrees up/down
+    thinkTime: 1400,
+  },
+  pro: {
+    label: "Pro",
+    speedError: 0.015,
+    aimError: 1,
+    angleError: 1.2,
+    thinkTime: 1000,
+  },
+  legend: {
+    label: "Legend",
+    speedError: 0.004,
+    aimError: 0.3,
+    angleError: 0.4,
+    thinkTime: 700,
+  },
+};
+
+/**
+ * A computer-controlled shooter. It only decides the launch impulse; the
+ * game shoots it through the same path as a player's swipe.
+ */
+export class AIOpponent {
+  constructor(options = {}) {
+    this.skill = SKILL_LEVELS[options.skill] ? options.skill : "pro";
+    this.config = SKILL_LEVELS[this.skill];
+    this.releaseAngle = options.releaseAngle || 55; // Preferred arc, degrees above horizontal
+    this.color = options.color || 0x2f6fdb; // Ball colour on the computer's turn
+    this.random = options.random || Math.random; // Uniform [0, 1), swappable for tests
+  }
+
+  /**
+   * Display name, e.g. "Pro CPU"
+   * @returns {string}
+   */
+  getName() {
+    return `${this.config.label} CPU`;
+  }
+
+  /**
+   * How long to wait before shooting, in ms
+   * @returns {number}
+   */
+  getThinkTime() {
+    return this.config.thinkTime;
+  }
+
+  /**
+   * Pick the impulse for the next shot from where the ball is now (it may
+   * still be bouncing after being reset)
+   * @param {Simulation} simulation The court the ball is on
+   * @returns {THREE.Vector3|null} Impulse to apply, or null if nothing can score
+   */
+  aimShot(simulation) {
+    const perfect = simulation.findPerfectShot(this.releaseAngle);
+    if (!perfect) return null;
+
+    const { speedError, aimError, angleError } = this.config;
+    const { x, y, z } = perfect.velocity;
+
+    // Split the scoring launch into speed, heading and elevation, miss each
+    // by a little, then put it back together
+    const speed =
+      Math.sqrt(x * x + y * y + z * z) * (1 + this.gaussian() * speedError);
+    const heading =
+      Math.atan2(x, z) + THREE.MathUtils.degToRad(this.gaussian() * aimError);
+    const elevation =
+      Math.atan2(y, Math.sqrt(x * x + z * z)) +
+      THREE.MathUtils.degToRad(this.gaussian() * angleError);
+
+    const horizontal = speed * Math.cos(elevation);
+    return simulation.getLaunchImpulse({
+      x: horizontal * Math.sin(heading),
+      y: speed * Math.sin(elevation),
+      z: horizontal * Math.cos(heading),
+    });
+  }
+
+  /**
+   * Pick where to set a shot from
+   * @param {number} count Number of spots to pick from
+   * @returns {number} Index of the spot
+   */
+  pickSpot(count) {
+    return Math.floor(this.random() * count);
+  }
+
+  // Standard normal sample (Box-Muller)
+  gaussian() {
+    const u = 1 - this.random(); // (0, 1] so the log is finite
+    const v = this.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+}
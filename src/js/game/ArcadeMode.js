@@ -0,0 +1,62 @@
+import { GameMode } from "./GameMode.js";
+
+/**
+ * Timed arcade round: shoot as many baskets as possible before the clock
+ * runs out. A shot that is already in the air when time expires still counts.
+ */
+export class ArcadeMode extends GameMode {
+  constructor(options = {}) {
+    super(options);
+    this.name = "arcade";
+    this.label = "Arcade";
+
+    // Round length in milliseconds
+    this.duration = options.duration || 60000;
+    this.timeRemaining = this.duration;
+
+    // Makes needed to reach each new difficulty tier
+    this.makesPerTier = options.makesPerTier || 5;
+  }
+
+  start() {
+    super.start();
+    this.timeRemaining = this.duration;
+  }
+
+  update(delta) {
+    if (!this.isRunning) return;
+
+    this.timeRemaining = Math.max(0, this.timeRemaining - delta);
+  }
+
+  canShoot() {
+    return super.canShoot() && this.timeRemaining > 0;
+  }
+
+  isOver() {
+    return this.timeRemaining <= 0;
+  }
+
+  getDifficultyTier() {
+    return Math.floor(this.makes / this.makesPerTier);
+  }
+
+  getResultTitle() {
+    return "Time's Up!";
+  }
+
+  /**
+   * Remaining time formatted as m:ss
+   * @returns {string}
+   */
+  getClockText() {
+    const seconds = Math.ceil(this.timeRemaining / 1000);
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${(seconds % 60).toString().padStart(2, "0")}`;
+  }
+
+  getHudHtml() {
+    const isLow = this.timeRemaining <= 10000;
+    return `<div class="clock${isLow ? " clock-low" : ""}">⏱ ${this.getClockText()}</div>`;
+  }
+}
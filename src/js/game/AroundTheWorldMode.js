@@ -0,0 +1,86 @@
+import { GameMode } from "./GameMode.js";
+
+/**
+ * Around the world: shoot from a series of spots around the arc. The
+ * player only moves on to the next spot after a make; the round ends once
+ * every spot has been made.
+ */
+export class AroundTheWorldMode extends GameMode {
+  constructor(options = {}) {
+    super(options);
+    this.name = "around-the-world";
+    this.label = "Around the World";
+
+    // Spots in order: [{ name, position: { x, y, z } }]
+    this.spots = options.spots || [];
+    this.spotIndex = 0;
+    this.spotStats = [];
+  }
+
+  start() {
+    super.start();
+    this.spotIndex = 0;
+    this.spotStats = this.spots.map((spot) => ({
+      name: spot.name,
+      makes: 0,
+      attempts: 0,
+    }));
+  }
+
+  /**
+   * The spot the player is shooting from
+   * @returns {{name: string, position: {x: number, y: number, z: number}}|null}
+   */
+  getCurrentSpot() {
+    return this.spots[this.spotIndex] || null;
+  }
+
+  getSpawnPosition() {
+    const spot = this.getCurrentSpot();
+    return spot ? { ...spot.position } : null;
+  }
+
+  canShoot() {
+    return super.canShoot() && !this.isOver();
+  }
+
+  recordShot(shot) {
+    super.recordShot(shot);
+
+    const stats = this.spotStats[this.spotIndex];
+    if (stats) stats.attempts++;
+  }
+
+  recordResult(made) {
+    super.recordResult(made);
+    if (!made) return;
+
+    const stats = this.spotStats[this.spotIndex];
+    if (stats) stats.makes++;
+
+    // Move on to the next spot
+    this.spotIndex++;
+  }
+
+  isOver() {
+    return this.spotIndex >= this.spots.length;
+  }
+
+  getSummary() {
+    return {
+      ...super.getSummary(),
+      spots: this.spotStats.map((stats) => ({ ...stats })),
+    };
+  }
+
+  getResultTitle() {
+    return "Around the World!";
+  }
+
+  getHudHtml() {
+    const spot = this.getCurrentSpot();
+    if (!spot) return "";
+
+    return `<div>Spot ${this.spotIndex + 1}/${this.spots.length}: ${spot.name}</div>`;
+  }
+}
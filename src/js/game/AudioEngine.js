@@ -0,0 +1,315 @@
+/**
+ * Procedural sound effects built on the Web Audio API.
+ *
+ * Every sound is synthesised on the fly (oscillators and filtered noise), so
+ * there are no audio files to load. Impact sounds take the ball's impact
+ * speed: harder hits are louder and slightly higher pitched.
+ *
+ * Browsers only allow audio after a user gesture, so nothing plays until
+ * unlock() has been called from an input handler.
+ */
+export class AudioEngine {
+  constructor(options = {}) {
+    // Configuration with defaults
+    this.config = {
+      volume: options.volume || 0.8, // Master volume (0-1)
+      minImpactSpeed: options.minImpactSpeed || 0.4, // m/s; softer contacts are silent
+      maxImpactSpeed: options.maxImpactSpeed || 12, // m/s; full volume at this speed
+      minInterval: options.minInterval || 0.05, // Seconds between sounds of one kind
+    };
+
+    // Web Audio nodes (created by unlock())
+    this.context = null;
+    this.master = null;
+    this.noiseBuffer = null;
+    this.muted = false;
+
+    // When each kind of sound last played, to avoid machine-gunning
+    this.lastPlayed = {};
+  }
+
+  /**
+   * Create (or resume) the audio context. Call from a user gesture.
+   */
+  unlock() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+
+    try {
+      if (!this.context) {
+        this.context = new AudioContextClass();
+        this.master = this.context.createGain();
+        this.master.gain.value = this.muted ? 0 : this.config.volume;
+        this.master.connect(this.context.destination);
+        this.noiseBuffer = this.createNoiseBuffer();
+      }
+
+      if (this.context.state === "suspended") {
+        this.context.resume();
+      }
+    } catch (error) {
+      console.error("Error starting audio:", error);
+    }
+  }
+
+  /**
+   * Whether sounds can be played
+   * @returns {boolean}
+   */
+  isReady() {
+    return this.context !== null && this.context.state === "running";
+  }
+
+  /**
+   * Set the master volume
+   * @param {number} volume 0-1
+   */
+  setVolume(volume) {
+    this.config.volume = Math.max(0, Math.min(volume, 1));
+    this.applyVolume();
+  }
+
+  /**
+   * Mute or unmute all sounds
+   * @param {boolean} muted
+   */
+  setMuted(muted) {
+    this.muted = muted;
+    this.applyVolume();
+  }
+
+  applyVolume() {
+    if (this.master) {
+      this.master.gain.value = this.muted ? 0 : this.config.volume;
+    }
+  }
+
+  /**
+   * Play the sound for the ball hitting something
+   * @param {string} surface "ground", "rim" or "backboard"
+   * @param {number} speed Impact speed in m/s
+   */
+  playImpact(surface, speed) {
+    const intensity = this.getIntensity(speed);
+    if (intensity <= 0) return;
+
+    switch (surface) {
+      case "ground":
+        this.playBounce(intensity);
+        break;
+      case "rim":
+        this.playRim(intensity);
+        break;
+      case "backboard":
+        this.playBackboard(intensity);
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Loudness (0-1) for an impact speed; 0 means too soft to hear
+   * @param {number} speed Impact speed in m/s
+   * @returns {number}
+   */
+  getIntensity(speed) {
+    const { minImpactSpeed, maxImpactSpeed } = this.config;
+    if (speed < minImpactSpeed) return 0;
+    return Math.min(
+      (speed - minImpactSpeed) / (maxImpactSpeed - minImpactSpeed),
+      1,
+    );
+  }
+
+  /**
+   * Ball bouncing on the court: a short low thump that drops in pitch
+   * @param {number} intensity 0-1
+   */
+  playBounce(intensity) {
+    if (!this.canPlay("bounce")) return;
+    const now = this.context.currentTime;
+    const pitch = 0.85 + intensity * 0.3;
+
+    const oscillator = this.context.createOscillator();
+    oscillator.type = "sine";
+    oscillator.frequency.setValueAtTime(160 * pitch, now);
+    oscillator.frequency.exponentialRampToValueAtTime(55 * pitch, now + 0.12);
+    this.playTone(oscillator, 0.3 + intensity * 0.7, 0.18);
+
+    // Slap of the leather on the floor
+    this.playNoise({
+      type: "lowpass",
+      frequency: 900 * pitch,
+      gain: 0.15 + intensity * 0.35,
+      duration: 0.05,
+    });
+  }
+
+  /**
+   * Ball hitting the rim: a metallic clang of inharmonic partials
+   * @param {number} intensity 0-1
+   */
+  playRim(intensity) {
+    if (!this.canPlay("rim")) return;
+    const pitch = 0.9 + intensity * 0.25;
+    const gain = 0.15 + intensity * 0.45;
+
+    // Ratios of a struck metal ring rather than a musical note
+    [1, 2.76, 5.4].forEach((ratio, i) => {
+      const oscillator = this.context.createOscillator();
+      oscillator.type = i === 0 ? "triangle" : "sine";
+      oscillator.frequency.value = 480 * ratio * pitch;
+      this.playTone(oscillator, gain / (i + 1), 0.5 - i * 0.12);
+    });
+
+    this.playNoise({
+      type: "highpass",
+      frequency: 2500,
+      gain: gain * 0.4,
+      duration: 0.03,
+    });
+  }
+
+  /**
+   * Ball hitting the backboard: a hollow wooden thud
+   * @param {number} intensity 0-1
+   */
+  playBackboard(intensity) {
+    if (!this.canPlay("backboard")) return;
+    const now = this.context.currentTime;
+    const pitch = 0.9 + intensity * 0.2;
+
+    const oscillator = this.context.createOscillator();
+    oscillator.type = "triangle";
+    oscillator.frequency.setValueAtTime(210 * pitch, now);
+    oscillator.frequency.exponentialRampToValueAtTime(120 * pitch, now + 0.1);
+    this.playTone(oscillator, 0.25 + intensity * 0.6, 0.15);
+
+    this.playNoise({
+      type: "bandpass",
+      frequency: 1200 * pitch,
+      gain: 0.2 + intensity * 0.4,
+      duration: 0.08,
+    });
+  }
+
+  /**
+   * Clean make (nothing but net): a long airy swish
+   */
+  playSwish() {
+    if (!this.canPlay("swish")) return;
+    this.playNoise({
+      type: "bandpass",
+      frequency: 3200,
+      frequencyEnd: 1400,
+      q: 1.2,
+      gain: 0.6,
+      attack: 0.04,
+      duration: 0.45,
+    });
+  }
+
+  /**
+   * Make off the rim or glass: a shorter, duller rustle of the net
+   */
+  playNetMake() {
+    if (!this.canPlay("swish")) return;
+    this.playNoise({
+      type: "bandpass",
+      frequency: 1800,
+      frequencyEnd: 900,
+      q: 0.8,
+      gain: 0.35,
+      attack: 0.02,
+      duration: 0.25,
+    });
+  }
+
+  // Whether a sound of this kind may start now (audio ready, not too soon)
+  canPlay(kind) {
+    if (!this.isReady()) return false;
+
+    const now = this.context.currentTime;
+    const last = this.lastPlayed[kind];
+    if (last !== undefined && now - last < this.config.minInterval) {
+      return false;
+    }
+
+    this.lastPlayed[kind] = now;
+    return true;
+  }
+
+  // Play an oscillator through a percussive (instant attack, exponential decay) envelope
+  playTone(oscillator, gain, duration) {
+    const now = this.context.currentTime;
+    const envelope = this.context.createGain();
+    envelope.gain.setValueAtTime(gain, now);
+    envelope.gain.exponentialRampToValueAtTime(0.001, now + duration);
+
+    oscillator.connect(envelope);
+    envelope.connect(this.master);
+    oscillator.start(now);
+    oscillator.stop(now + duration);
+  }
+
+  // Play a burst of filtered white noise
+  playNoise({
+    type,
+    frequency,
+    frequencyEnd = frequency,
+    q = 1,
+    gain,
+    attack = 0.002,
+    duration,
+  }) {
+    const now = this.context.currentTime;
+
+    const source = this.context.createBufferSource();
+    source.buffer = this.noiseBuffer;
+
+    const filter = this.context.createBiquadFilter();
+    filter.type = type;
+    filter.Q.value = q;
+    filter.frequency.setValueAtTime(frequency, now);
+    filter.frequency.exponentialRampToValueAtTime(frequencyEnd, now + duration);
+
+    const envelope = this.context.createGain();
+    envelope.gain.setValueAtTime(0.001, now);
+    envelope.gain.exponentialRampToValueAtTime(gain, now + attack);
+    envelope.gain.exponentialRampToValueAtTime(0.001, now + duration);
+
+    source.connect(filter);
+    filter.connect(envelope);
+    envelope.connect(this.master);
+    source.start(now);
+    source.stop(now + duration);
+  }
+
+  // One second of white noise, shared by every noise burst
+  createNoiseBuffer() {
+    const length = this.context.sampleRate;
+    const buffer = this.context.createBuffer(
+      1,
+      length,
+      this.context.sampleRate,
+    );
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < length; i++) {
+      data[i] = Math.random() * 2 - 1;
+    }
+    return buffer;
+  }
+
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    if (this.context) {
+      this.context.close();
+    }
+    this.context = null;
+    this.master = null;
+    this.noiseBuffer = null;
+  }
+}
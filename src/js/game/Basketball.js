@@ -1,4 +1,5 @@
 import * as THREE from "three";
+import { FireTrail } from "./FireTrail.js";
 
 export class Basketball {
   constructor(physics, scene, options = {}) {
@@ -13,12 +14,25 @@ export class Basketball {
       position: options.position || { x: 0, y: 1, z: 0 },
       friction: options.friction || 0.5,
       color: options.color || 0xf85e00, // Orange
+      magnusCoefficient: options.magnusCoefficient || 0.004, // Lift per (rad/s * m/s)
     };
 
     // Properties
     this.mesh = null;
     this.body = null;
     this.isReset = false;
+    this.baseColor = this.config.color; // Colour to go back to after setColor
+
+    // "On fire" after a long streak: glowing ball with a flame trail
+    this.isOnFire = false;
+    this.fireTrail = new FireTrail(scene);
+
+    // Physics state on the last two steps, used to interpolate rendering
+    this.previousPosition = new THREE.Vector3();
+    this.currentPosition = new THREE.Vector3();
+    this.previousQuaternion = new THREE.Quaternion();
+    this.currentQuaternion = new THREE.Quaternion();
+    this.currentVelocity = new THREE.Vector3(); // Velocity after the last step
 
     // Create the basketball
     this.create();
@@ -26,16 +40,17 @@ export class Basketball {
 
   create() {
     // Create the basketball using the physics factory
-    const { radius, mass, position, color } = this.config;
+    const { radius, position, color } = this.config;
 
     // Create the ball with physics
     const ball = this.physics.add.sphere(
       {
+        name: "basketball", // Identifies the ball in collision events
         radius,
         x: position.x,
         y: position.y,
         z: position.z,
-        mass: mass * 0.8, // Slightly lighter for better control
+        mass: this.getMass(),
         restitution: 0.85, // More bounce
         friction: 0.6, // More friction for better interaction
         collisionFlags: 0, // DYNAMIC object
@@ -56,6 +71,9 @@ export class Basketball {
     ball.body.setFriction(0.6);
     ball.needUpdate = true;
 
+    // Report contacts with the rim, backboard and ground (for sounds)
+    ball.body.checkCollisions = true;
+
     // Enable shadows
     ball.castShadow = true;
     ball.receiveShadow = false;
@@ -64,9 +82,19 @@ export class Basketball {
     this.mesh = ball;
     this.body = ball.body;
 
+    // Start interpolation from the spawn point
+    this.currentPosition.copy(ball.position);
+    this.currentQuaternion.copy(ball.quaternion);
+    this.previousPosition.copy(ball.position);
+    this.previousQuaternion.copy(ball.quaternion);
+    this.currentVelocity.set(0, 0, 0);
+
     // Add textures to make it look like a basketball
     this.addTexture();
 
+    // A reset recreates the mesh, so keep the glow if the ball is on fire
+    this.applyFireMaterial();
+
     return this;
   }
 
@@ -93,17 +121,75 @@ export class Basketball {
   /**
    * Apply force to the basketball in a direction
    * @param {THREE.Vector3} force The force vector to apply
+   * @param {THREE.Vector3} [spin] Angular velocity to give the ball (rad/s)
    */
-  applyForce(force) {
+  applyForce(force, spin = null) {
     if (this.body) {
       // Apply central impulse to the basketball
       this.body.applyForce(force.x, force.y, force.z);
 
+      // Put spin on the ball (backspin / sidespin)
+      if (spin) {
+        this.body.setAngularVelocity(spin.x, spin.y, spin.z);
+      }
+
       // Mark that the ball has been shot
       this.isReset = false;
     }
   }
 
+  /**
+   * Set the ball on fire (glow and flame trail) or put it out
+   * @param {boolean} onFire
+   */
+  setOnFire(onFire) {
+    this.isOnFire = onFire;
+    this.applyFireMaterial();
+    this.fireTrail.setEmitting(onFire);
+  }
+
+  /**
+   * Recolour the ball (e.g. on a computer player's turn)
+   * @param {number|null} color Hex colour, or null for the ball's own colour
+   */
+  setColor(color) {
+    this.config.color = color === null ? this.baseColor : color;
+    if (this.mesh && this.mesh.material && this.mesh.material.color) {
+      this.mesh.material.color.setHex(this.config.color);
+    }
+  }
+
+  applyFireMaterial() {
+    if (this.mesh && this.mesh.material && this.mesh.material.emissive) {
+      this.mesh.material.emissive.setHex(this.isOnFire ? 0xff3300 : 0x000000);
+      this.mesh.material.emissiveIntensity = this.isOnFire ? 0.8 : 1;
+    }
+  }
+
+  /**
+   * Update per-frame visual effects (call after interpolate)
+   * @param {number} delta Elapsed time in seconds
+   */
+  updateEffects(delta) {
+    this.fireTrail.update(delta, this.mesh ? this.mesh.position : null);
+  }
+
+  /**
+   * Slow the ball down (e.g. when it is caught by the net)
+   * @param {number} amount Fraction of the velocity to remove (0-1)
+   */
+  dampVelocity(amount) {
+    if (this.body && amount > 0) {
+      const velocity = this.body.velocity;
+      const keep = 1 - amount;
+      this.body.setVelocity(
+        velocity.x * keep,
+        velocity.y * keep,
+        velocity.z * keep,
+      );
+    }
+  }
+
   /**
    * Reset the basketball to the starting position
    */
@@ -135,20 +221,104 @@ export class Basketball {
    * Update the basketball
    */
   update() {
-    // Any per-frame updates for the basketball
-    // This could include checking if it's out of bounds, etc.
+    // Magnus effect: a spinning ball in flight is pushed along (spin x velocity)
+    if (this.body && !this.isReset && this.isAirborne()) {
+      const velocity = this.getVelocity();
+      const spin = this.body.angularVelocity;
+      const lift = new THREE.Vector3(spin.x, spin.y, spin.z)
+        .cross(velocity)
+        .multiplyScalar(this.config.magnusCoefficient);
+
+      // Forces are cleared after every physics step, so apply it each frame
+      this.body.applyCentralForce(lift.x, lift.y, lift.z);
+    }
+  }
+
+  /**
+   * Whether the ball is clear of the ground
+   */
+  isAirborne() {
+    return this.currentPosition.y > this.config.radius + 0.05;
+  }
+
+  /**
+   * Store the transform the physics step just produced.
+   * Call once after every physics step, while the mesh holds the
+   * simulated (not interpolated) transform.
+   */
+  captureState() {
+    if (this.mesh) {
+      this.previousPosition.copy(this.currentPosition);
+      this.previousQuaternion.copy(this.currentQuaternion);
+      this.currentPosition.copy(this.mesh.position);
+      this.currentQuaternion.copy(this.mesh.quaternion);
+      this.currentVelocity.copy(this.getVelocity());
+    }
+  }
+
+  /**
+   * Place the mesh between the last two physics states for rendering
+   * @param {number} alpha Fraction of a step since the last physics state (0-1)
+   */
+  interpolate(alpha) {
+    if (this.mesh) {
+      this.mesh.position.lerpVectors(
+        this.previousPosition,
+        this.currentPosition,
+        alpha,
+      );
+      this.mesh.quaternion.slerpQuaternions(
+        this.previousQuaternion,
+        this.currentQuaternion,
+        alpha,
+      );
+    }
   }
 
   /**
    * Returns the current position of the basketball
+   * (the simulated position, not the interpolated one being drawn)
    */
   getPosition() {
     if (this.mesh) {
-      return this.mesh.position.clone();
+      return this.currentPosition.clone();
     }
     return new THREE.Vector3();
   }
 
+  /**
+   * Where the physics body is right now. The mesh, and so getPosition,
+   * trails it by a step while the ball is moving.
+   */
+  getBodyPosition() {
+    if (!this.body) return this.getPosition();
+    const origin = this.body.ammo.getWorldTransform().getOrigin();
+    return new THREE.Vector3(origin.x(), origin.y(), origin.z());
+  }
+
+  /**
+   * Mass of the physics body, which an impulse is divided by
+   */
+  getMass() {
+    return this.config.mass * 0.8; // Slightly lighter for better control
+  }
+
+  /**
+   * What a flight prediction needs to match this ball, read from the live
+   * physics body (the factory ignores some config values, e.g. damping)
+   * @returns {{radius: number, mass: number, linearDamping: number, restitution: number, magnusCoefficient: number}}
+   */
+  getFlightParameters() {
+    const body = this.body ? this.body.ammo : null;
+    return {
+      radius: this.config.radius,
+      mass: this.getMass(),
+      linearDamping: body ? body.getLinearDamping() : 0,
+      restitution: body ? body.getRestitution() : 0,
+      magnusCoefficient: this.config.magnusCoefficient,
+    };
+  }
+
   /**
    * Returns the current velocity of the basketball
    */
@@ -160,11 +330,22 @@ export class Basketball {
     return new THREE.Vector3();
   }
 
+  /**
+   * How hard the ball was hit during the step in progress: the change in
+   * velocity since the last captured state. Only meaningful inside a
+   * physics step (e.g. from a collision event).
+   * @returns {number} Speed change in m/s
+   */
+  getImpactSpeed() {
+    return this.getVelocity().distanceTo(this.currentVelocity);
+  }
+
   /**
    * Clean up resources
    */
   dispose() {
     // Clean up resources associated with the basketball
+    this.fireTrail.dispose();
     if (this.mesh) {
       if (this.mesh.material) {
         this.mesh.material.dispose();
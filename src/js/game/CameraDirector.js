@@ -0,0 +1,175 @@
+import * as THREE from "three";
+
+/**
+ * Moves the game camera between a few shots:
+ *   "shooting" - the view from behind the shooter (see Game.positionCameraForShot)
+ *   "follow"   - chases the ball in flight, looking ahead towards the hoop
+ *   "rim"      - pushes in on the rim once the ball gets close
+ *   "score"    - a slow orbit around the hoop after a make
+ *
+ * The camera never jumps: every frame it eases towards the current shot, so
+ * switching mode blends from wherever the camera is. Only the camera's
+ * position and orientation change, never its projection, so resizing the
+ * window works the same in every mode.
+ */
+export class CameraDirector {
+  constructor(camera, options = {}) {
+    this.camera = camera;
+
+    // Configuration with defaults
+    this.config = {
+      blendTime: options.blendTime || 0.25, // Seconds to close ~63% of the gap to the wanted shot
+      followDistance: options.followDistance || 3, // Metres behind the ball
+      followHeight: options.followHeight || 0.8, // Metres above the ball
+      lookAhead: options.lookAhead || 0.35, // How far from the ball towards the rim to look (0-1)
+      rimDistance: options.rimDistance || 2.2, // Ball this close to the rim (along the floor) switches to the rim cam
+      rimCamDistance: options.rimCamDistance || 2.4, // Rim cam: metres in front of the rim
+      rimCamHeight: options.rimCamHeight || 0.5, // Rim cam: metres above the rim
+      orbitRadius: options.orbitRadius || 3.2, // Score cam: distance from the rim
+      orbitHeight: options.orbitHeight || 0.9, // Score cam: metres above the rim
+      orbitSpeed: options.orbitSpeed || 30, // Score cam: degrees per second
+      orbitDuration: options.orbitDuration || 1.6, // Seconds the score cam is held
+      minHeight: options.minHeight || 0.8, // Never dip closer to the floor than this
+    };
+
+    this.mode = "shooting";
+
+    // The view from behind the shooter, and the heading from it to the hoop
+    this.shootingPosition = camera.position.clone();
+    this.shootingTarget = camera.position
+      .clone()
+      .add(camera.getWorldDirection(new THREE.Vector3()));
+    this.heading = new THREE.Vector3(0, 0, -1);
+
+    // What the camera is looking at right now (eased like the position)
+    this.lookTarget = this.shootingTarget.clone();
+
+    // Score cam orbit
+    this.orbitAngle = 0; // Radians around the rim, 0 = in front (+z)
+
+    // Reusable targets
+    this.desiredPosition = new THREE.Vector3();
+    this.desiredTarget = new THREE.Vector3();
+  }
+
+  /**
+   * Set the view to return to between shots
+   * @param {THREE.Vector3} position Camera position
+   * @param {THREE.Vector3} target Point to look at
+   * @param {boolean} [snap] Jump there instead of easing (e.g. a new round)
+   */
+  setShootingView(position, target, snap = false) {
+    this.shootingPosition.copy(position);
+    this.shootingTarget.copy(target);
+
+    // Follow and rim cams line up with the shot, whichever spot it is from
+    this.heading.subVectors(target, position).setY(0);
+    if (this.heading.lengthSq() > 0) this.heading.normalize();
+
+    this.mode = "shooting";
+    if (snap) {
+      this.camera.position.copy(position);
+      this.lookTarget.copy(target);
+      this.camera.lookAt(this.lookTarget);
+    }
+  }
+
+  /**
+   * Chase the ball that was just shot
+   */
+  follow() {
+    this.mode = "follow";
+  }
+
+  /**
+   * Orbit the hoop after a make
+   * @param {THREE.Vector3} rim Rim centre
+   */
+  celebrate(rim) {
+    // Start the orbit from where the camera is, so it only turns
+    this.orbitAngle = Math.atan2(
+      this.camera.position.x - rim.x,
+      this.camera.position.z - rim.z,
+    );
+    this.mode = "score";
+  }
+
+  /**
+   * Go back to the shooting view
+   */
+  returnToShooter() {
+    this.mode = "shooting";
+  }
+
+  /**
+   * Ease the camera towards the current shot. Call once per frame.
+   * @param {number} delta Elapsed time in seconds
+   * @param {THREE.Vector3} ball Ball position (as drawn)
+   * @param {THREE.Vector3} rim Rim centre
+   */
+  update(delta, ball, rim) {
+    // The ball reaching the rim is the moment to push in
+    if (
+      this.mode === "follow" &&
+      Math.hypot(ball.x - rim.x, ball.z - rim.z) < this.config.rimDistance
+    ) {
+      this.mode = "rim";
+    }
+
+    this.getDesiredShot(delta, ball, rim);
+
+    // Frame-rate independent easing
+    const blend = 1 - Math.exp(-delta / this.config.blendTime);
+    this.camera.position.lerp(this.desiredPosition, blend);
+    this.lookTarget.lerp(this.desiredTarget, blend);
+    this.camera.lookAt(this.lookTarget);
+  }
+
+  // Where the current mode wants the camera, in desiredPosition/desiredTarget
+  getDesiredShot(delta, ball, rim) {
+    const {
+      followDistance,
+      followHeight,
+      lookAhead,
+      rimCamDistance,
+      rimCamHeight,
+      orbitRadius,
+      orbitHeight,
+      orbitSpeed,
+      minHeight,
+    } = this.config;
+
+    switch (this.mode) {
+      case "follow":
+        this.desiredPosition
+          .copy(ball)
+          .addScaledVector(this.heading, -followDistance);
+        this.desiredPosition.y = Math.max(ball.y + followHeight, minHeight);
+        this.desiredTarget.lerpVectors(ball, rim, lookAhead);
+        break;
+
+      case "rim":
+        this.desiredPosition
+          .copy(rim)
+          .addScaledVector(this.heading, -rimCamDistance);
+        this.desiredPosition.y += rimCamHeight;
+        this.desiredTarget.copy(rim);
+        break;
+
+      case "score":
+        this.orbitAngle += THREE.MathUtils.degToRad(orbitSpeed) * delta;
+        this.desiredPosition.set(
+          rim.x + Math.sin(this.orbitAngle) * orbitRadius,
+          rim.y + orbitHeight,
+          rim.z + Math.cos(this.orbitAngle) * orbitRadius,
+        );
+        this.desiredTarget.copy(rim);
+        this.desiredTarget.y -= 0.3; // The ball dropping through the net
+        break;
+
+      default:
+        this.desiredPosition.copy(this.shootingPosition);
+        this.desiredTarget.copy(this.shootingTarget);
+    }
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * Points for each kind of make: every basket is worth `points`, cleaner
+ * shots earn a `bonus` on top.
+ */
+export const SHOT_TYPES = {
+  swish: { label: "Swish!", points: 1, bonus: 2 },
+  bank: { label: "Bank Shot!", points: 1, bonus: 1 },
+  "rim-in": { label: "Rim In", points: 1, bonus: 0 },
+  "off-the-floor": { label: "Off the Floor", points: 1, bonus: 0 },
+};
+
+/**
+ * Records what the ball touched during a shot (rim, backboard, ground) so a
+ * make can be classified as a swish, bank shot or rim-in.
+ */
+export class CollisionTracker {
+  constructor() {
+    // Surfaces in the order they were first touched this shot
+    this.touched = [];
+  }
+
+  /**
+   * Start tracking a new shot
+   */
+  begin() {
+    this.touched = [];
+  }
+
+  /**
+   * Record a contact between the ball and a collider
+   * @param {string} surface "rim", "backboard" or "ground"
+   */
+  record(surface) {
+    if (!this.touched.includes(surface)) {
+      this.touched.push(surface);
+    }
+  }
+
+  /**
+   * Whether the ball has touched a surface this shot
+   * @param {string} surface "rim", "backboard" or "ground"
+   * @returns {boolean}
+   */
+  hasTouched(surface) {
+    return this.touched.includes(surface);
+  }
+
+  /**
+   * Classify a make from what the ball touched on the way in
+   * @returns {{type: string, label: string, points: number, bonus: number, total: number}}
+   */
+  classifyMake() {
+    let type = "swish";
+    if (this.hasTouched("ground")) {
+      // Bounced off the floor first: it counts, but earns no bonus
+      type = "off-the-floor";
+    } else if (this.hasTouched("backboard")) {
+      // Off the glass counts as a bank shot even if it rattled the rim too
+      type = "bank";
+    } else if (this.hasTouched("rim")) {
+      type = "rim-in";
+    }
+
+    const { label, points, bonus } = SHOT_TYPES[type];
+    return { type, label, points, bonus, total: points + bonus };
+  }
+}
@@ -0,0 +1,198 @@
+import * as THREE from "three";
+
+// Standard gamepad mapping (https://w3c.github.io/gamepad/#remapping)
+const GAMEPAD_CHARGE_BUTTONS = [0, 7]; // A / cross, right trigger
+const GAMEPAD_DEAD_ZONE = 0.2;
+
+/**
+ * Keyboard and gamepad shooting. Arrow keys or the left stick aim (left and
+ * right) and set the arc (up and down); holding Space, the A button or the
+ * right trigger charges a power meter that sweeps up and down, and letting
+ * go shoots.
+ *
+ * Shots come out through the same onSwipe(force, isPreview, spin) callback
+ * as InputManager, with forces in the same units as a swipe, so the game
+ * (aim assist, trajectory preview) treats them alike.
+ */
+export class ControllerInput {
+  constructor(options = {}) {
+    this.options = options;
+    this.target = options.target || window; // Receives the key events
+    this.strength = options.strength || 10; // Same meaning as InputManager.strength
+    this.onSwipe = options.onSwipe || function () {};
+
+    // Aim, kept between shots
+    this.aim = 0; // Sideways, -1 (left) to 1 (right)
+    this.arc = this.options.arc || 1.75; // Upward force per unit of forward force
+    this.minArc = 1;
+    this.maxArc = 3;
+    this.aimSpeed = this.options.aimSpeed || 0.8; // Aim units per second at full tilt
+    this.arcSpeed = this.options.arcSpeed || 0.6; // Arc units per second at full tilt
+
+    // Power meter: sweeps 0 -> 1 -> 0 while charging
+    this.chargeTime = this.options.chargeTime || 1.2; // Seconds for a full sweep up
+    this.minPower = 0.2; // Empty meter: a soft lob
+    this.maxPower = 0.8; // Full meter: well past the rim from the spawn point
+    this.backspin = this.options.backspin || 12; // rad/s, like a straight swipe
+    this.isCharging = false;
+    this.chargeTimer = 0; // Seconds since charging started
+
+    // Held inputs
+    this.keys = new Set(); // Arrow keys currently down
+    this.isKeyCharging = false;
+
+    // Bind methods
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleKeyUp = this.handleKeyUp.bind(this);
+
+    this.target.addEventListener("keydown", this.handleKeyDown);
+    this.target.addEventListener("keyup", this.handleKeyUp);
+  }
+
+  handleKeyDown(event) {
+    if (isFormField(event.target)) return;
+
+    if (event.key.startsWith("Arrow")) {
+      this.keys.add(event.key);
+      event.preventDefault(); // Don't scroll the page
+    } else if (event.key === " ") {
+      if (!event.repeat) this.isKeyCharging = true;
+      event.preventDefault();
+    }
+  }
+
+  handleKeyUp(event) {
+    if (event.key.startsWith("Arrow")) {
+      this.keys.delete(event.key);
+    } else if (event.key === " ") {
+      this.isKeyCharging = false;
+    }
+  }
+
+  /**
+   * Poll the gamepad, move the aim and run the power meter. Call once per frame.
+   * @param {number} delta Elapsed time in seconds
+   */
+  update(delta) {
+    const pad = this.readGamepad();
+
+    // Arrow keys count as full tilt; the stick adds its own deflection
+    const steer =
+      (this.keys.has("ArrowRight") ? 1 : 0) -
+      (this.keys.has("ArrowLeft") ? 1 : 0) +
+      pad.x;
+    const lift =
+      (this.keys.has("ArrowUp") ? 1 : 0) -
+      (this.keys.has("ArrowDown") ? 1 : 0) -
+      pad.y;
+
+    const aimChanged = steer !== 0 || lift !== 0;
+    if (aimChanged) {
+      this.aim = THREE.MathUtils.clamp(
+        this.aim + steer * this.aimSpeed * delta,
+        -1,
+        1,
+      );
+      this.arc = THREE.MathUtils.clamp(
+        this.arc + lift * this.arcSpeed * delta,
+        this.minArc,
+        this.maxArc,
+      );
+    }
+
+    // Charge while any charge input is held; shoot once all are released
+    const wantsCharge = this.isKeyCharging || pad.charge;
+    if (wantsCharge && !this.isCharging) {
+      this.isCharging = true;
+      this.chargeTimer = 0;
+    } else if (wantsCharge) {
+      this.chargeTimer += delta;
+    } else if (this.isCharging) {
+      this.release();
+      return;
+    }
+
+    // Keep the preview up to date while aiming or charging
+    if (this.isCharging || aimChanged) {
+      this.onSwipe(this.calculateForce(), true);
+    }
+  }
+
+  // Shoot with the current aim and charge
+  release() {
+    const force = this.calculateForce();
+    this.isCharging = false;
+    this.chargeTimer = 0;
+    this.onSwipe(force, false, new THREE.Vector3(this.backspin, 0, 0));
+  }
+
+  /**
+   * Power meter level, 0-1 (sweeps back down after reaching the top)
+   * @returns {number}
+   */
+  getCharge() {
+    if (!this.isCharging) return 0;
+    const phase = (this.chargeTimer / this.chargeTime) % 2;
+    return phase <= 1 ? phase : 2 - phase;
+  }
+
+  /**
+   * Shot force for the current aim and charge, in swipe units
+   * @returns {THREE.Vector3}
+   */
+  calculateForce() {
+    const power = THREE.MathUtils.lerp(
+      this.minPower,
+      this.maxPower,
+      this.getCharge(),
+    );
+
+    return new THREE.Vector3(
+      this.aim * this.strength * 0.5, // Left/right
+      this.arc * this.strength, // Up
+      -this.strength, // Always away from the player (towards -Z)
+    ).multiplyScalar(power);
+  }
+
+  // Left stick and charge buttons of the first connected gamepad
+  readGamepad() {
+    const input = { x: 0, y: 0, charge: false };
+    if (typeof navigator === "undefined" || !navigator.getGamepads) {
+      return input;
+    }
+
+    const pad = Array.from(navigator.getGamepads()).find(Boolean);
+    if (!pad) return input;
+
+    const [x = 0, y = 0] = pad.axes;
+    input.x = Math.abs(x) > GAMEPAD_DEAD_ZONE ? x : 0;
+    input.y = Math.abs(y) > GAMEPAD_DEAD_ZONE ? y : 0;
+    input.charge = GAMEPAD_CHARGE_BUTTONS.some(
+      (index) => pad.buttons[index] && pad.buttons[index].pressed,
+    );
+    return input;
+  }
+
+  /**
+   * Drop any charge in progress without shooting
+   */
+  cancel() {
+    this.isCharging = false;
+    this.isKeyCharging = false;
+    this.chargeTimer = 0;
+    this.keys.clear();
+  }
+
+  dispose() {
+    this.target.removeEventListener("keydown", this.handleKeyDown);
+    this.target.removeEventListener("keyup", this.handleKeyUp);
+  }
+}
+
+// Keys typed into the start screen's selects shouldn't aim
+function isFormField(element) {
+  return (
+    Boolean(element) &&
+    ["INPUT", "SELECT", "TEXTAREA"].includes(element.tagName)
+  );
+}
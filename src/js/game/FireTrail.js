@@ -0,0 +1,132 @@
+import * as THREE from "three";
+
+/**
+ * Particle trail of flames left behind an "on fire" ball.
+ *
+ * Uses a fixed pool of particles drawn as one THREE.Points object with
+ * additive blending; a particle fades to black (invisible) as it dies.
+ */
+export class FireTrail {
+  constructor(scene, options = {}) {
+    this.scene = scene;
+
+    // Configuration with defaults
+    this.config = {
+      maxParticles: options.maxParticles || 150,
+      emitRate: options.emitRate || 90, // Particles per second
+      lifetime: options.lifetime || 0.6, // Seconds
+      size: options.size || 0.25, // World units
+      spread: options.spread || 0.12, // Random offset from the emit point
+      rise: options.rise || 0.8, // Upward drift in m/s
+    };
+
+    // Per-particle state
+    const { maxParticles } = this.config;
+    this.ages = new Float32Array(maxParticles).fill(Infinity);
+    this.velocities = new Float32Array(maxParticles * 3);
+    this.nextParticle = 0;
+    this.emitCarry = 0; // Fractional particles owed from earlier frames
+    this.isEmitting = false;
+
+    // Geometry shared by all particles
+    this.geometry = new THREE.BufferGeometry();
+    this.positions = new Float32Array(maxParticles * 3);
+    this.colors = new Float32Array(maxParticles * 3);
+    this.geometry.setAttribute(
+      "position",
+      new THREE.BufferAttribute(this.positions, 3),
+    );
+    this.geometry.setAttribute(
+      "color",
+      new THREE.BufferAttribute(this.colors, 3),
+    );
+
+    this.material = new THREE.PointsMaterial({
+      size: this.config.size,
+      vertexColors: true,
+      transparent: true,
+      depthWrite: false,
+      blending: THREE.AdditiveBlending,
+    });
+
+    this.points = new THREE.Points(this.geometry, this.material);
+    this.points.frustumCulled = false; // Particles move every frame
+    this.scene.add(this.points);
+
+    // Reused color for the fade
+    this.tmpColor = new THREE.Color();
+  }
+
+  /**
+   * Start or stop emitting (live particles still burn out)
+   * @param {boolean} emitting
+   */
+  setEmitting(emitting) {
+    this.isEmitting = emitting;
+    this.emitCarry = 0;
+  }
+
+  /**
+   * Advance the particles and emit new ones at the ball
+   * @param {number} delta Elapsed time in seconds
+   * @param {THREE.Vector3} position Where new particles appear
+   */
+  update(delta, position) {
+    if (this.isEmitting && position) {
+      this.emitCarry += this.config.emitRate * delta;
+      while (this.emitCarry >= 1) {
+        this.emit(position);
+        this.emitCarry--;
+      }
+    }
+
+    const { lifetime, rise } = this.config;
+    for (let i = 0; i < this.ages.length; i++) {
+      if (this.ages[i] >= lifetime) {
+        this.colors[i * 3] = 0;
+        this.colors[i * 3 + 1] = 0;
+        this.colors[i * 3 + 2] = 0;
+        continue;
+      }
+
+      this.ages[i] += delta;
+      this.positions[i * 3] += this.velocities[i * 3] * delta;
+      this.positions[i * 3 + 1] += (this.velocities[i * 3 + 1] + rise) * delta;
+      this.positions[i * 3 + 2] += this.velocities[i * 3 + 2] * delta;
+
+      // Yellow -> orange -> red, fading out
+      const t = Math.min(this.ages[i] / lifetime, 1);
+      this.tmpColor.setHSL(0.14 * (1 - t), 1, 0.55 * (1 - t));
+      this.colors[i * 3] = this.tmpColor.r;
+      this.colors[i * 3 + 1] = this.tmpColor.g;
+      this.colors[i * 3 + 2] = this.tmpColor.b;
+    }
+
+    this.geometry.attributes.position.needsUpdate = true;
+    this.geometry.attributes.color.needsUpdate = true;
+  }
+
+  // Spawn one particle near the given position, reusing the oldest slot
+  emit(position) {
+    const i = this.nextParticle;
+    this.nextParticle = (this.nextParticle + 1) % this.ages.length;
+
+    const { spread } = this.config;
+    this.ages[i] = 0;
+    this.positions[i * 3] = position.x + (Math.random() - 0.5) * spread * 2;
+    this.positions[i * 3 + 1] = position.y + (Math.random() - 0.5) * spread * 2;
+    this.positions[i * 3 + 2] = position.z + (Math.random() - 0.5) * spread * 2;
+    this.velocities[i * 3] = (Math.random() - 0.5) * 0.4;
+    this.velocities[i * 3 + 1] = (Math.random() - 0.5) * 0.4;
+    this.velocities[i * 3 + 2] = (Math.random() - 0.5) * 0.4;
+  }
+
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    this.scene.remove(this.points);
+    this.geometry.dispose();
+    this.material.dispose();
+  }
+}
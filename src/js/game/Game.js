@@ -1,39 +1,150 @@
 import * as THREE from "three";
-import { AmmoPhysics, PhysicsLoader } from "@enable3d/ammo-physics";
-import { Basketball } from "./Basketball.js";
-import { Hoop } from "./Hoop.js";
+import { PhysicsLoader } from "@enable3d/ammo-physics";
+import { Simulation } from "./Simulation.js";
 import { InputManager } from "./InputManager.js";
-import { delay } from "../utils/helpers.js";
+import { CameraDirector } from "./CameraDirector.js";
+import { ControllerInput } from "./ControllerInput.js";
+import { GameMode } from "./GameMode.js";
+import { ArcadeMode } from "./ArcadeMode.js";
+import { AroundTheWorldMode } from "./AroundTheWorldMode.js";
+import { HorseMode } from "./HorseMode.js";
+import { AIOpponent } from "./AIOpponent.js";
+import { Scheduler } from "./Scheduler.js";
+import { OnlineMode } from "./OnlineMode.js";
+import { NetworkClient } from "./NetworkClient.js";
+import { ShotRecorder } from "./ShotRecorder.js";
+import { ReplayPlayer } from "./ReplayPlayer.js";
+import { ReplayControls } from "./ReplayControls.js";
+import { AudioEngine } from "./AudioEngine.js";
+import { CollisionTracker } from "./CollisionTracker.js";
+import { createLevel } from "./LevelConfig.js";
+import { loadSettings, saveSettings } from "./Settings.js";
+
+// How much of the predicted flight the aim guide draws: seconds of flight,
+// and how many bounces off the rim or backboard to follow (null = no guide)
+const AIM_GUIDES = {
+  bounce: { duration: 3, maxBounces: 1 },
+  full: { duration: 3, maxBounces: 0 },
+  short: { duration: 0.35, maxBounces: 0 },
+  off: null,
+};
+
+// Renderer setup for each graphics quality setting
+const GRAPHICS_QUALITY = {
+  low: { shadows: false, maxPixelRatio: 1, antialias: false },
+  medium: { shadows: true, maxPixelRatio: 1.5, antialias: false },
+  high: { shadows: true, maxPixelRatio: Infinity, antialias: true },
+};
+
+// Swipe strength at a sensitivity of 1 (reduced for more controlled shots)
+const SWIPE_STRENGTH = 4;
 
 export class Game {
-  constructor() {
+  constructor(options = {}) {
     // Canvas element
     this.canvas = document.getElementById("game-canvas");
 
+    // Court layout (hoop, ball spawn, bounds, gravity, camera)
+    this.level = options.level || createLevel();
+
     // Three.js components
     this.scene = null;
     this.camera = null;
+    this.cameraDirector = null; // Follow, rim and score cams
     this.renderer = null;
+    this.antialias = null; // Whether the renderer's context was made with antialiasing
     this.physics = null;
 
-    // Game objects
+    // Physics world, ball and hoop (no rendering; see Simulation)
+    this.simulation = null;
+
+    // Game objects (owned by the simulation)
     this.basketball = null;
     this.hoop = null;
     this.inputManager = null;
+    this.controllerInput = null; // Keyboard and gamepad shooting
 
     // Game state
     this.isInitialized = false;
     this.animationFrameId = null;
     this.clock = new THREE.Clock();
+
+    // Fixed-timestep physics: the world always advances in equal steps so a
+    // shot plays out the same at any frame rate
+    this.fixedTimeStep = options.fixedTimeStep || 1 / 60; // Seconds per physics step
+    this.maxSubSteps = options.maxSubSteps || 5; // Cap on physics steps per frame
+    this.accumulator = 0; // Unsimulated time carried over between frames
+
+    // Game time runs slower than real time in slow motion. Physics, shot
+    // timers and effects all follow it; menus and replays don't.
+    this.timeScale = 1; // Game seconds per real second right now
+    this.scheduler = new Scheduler(); // Game clock and every delayed action in the game
+    this.slowMotionScale = options.slowMotionScale || 0.25; // Time scale for a close call at the rim
+    this.slowMotionLookahead = 0.4; // Seconds of flight checked for a rim or backboard contact
+    this.slowMotionEase = 0.15; // Seconds (real) to ease most of the way between speeds
+    this.maxSlowMotion = 1.5; // Most real seconds of slow motion per shot
+    this.slowMotionTime = 0; // Real seconds spent slowed down during this shot
+
     this.score = 0;
     this.scoreElement = document.getElementById("score");
     this.highScore = this.loadHighScore();
+    this.settings = loadSettings(); // Player settings (see Settings.js)
     this.streak = 0; // Current streak of successful baskets
-    this.gameState = "IDLE"; // IDLE, AIMING, SHOOTING, SCORED, RESET
+    this.streakPerMultiplier = options.streakPerMultiplier || 3; // Makes in a row per extra x1
+    this.maxStreakMultiplier = options.maxStreakMultiplier || 4;
+    this.onFireStreak = options.onFireStreak || 5; // Makes in a row to catch fire
+    this.isOnFire = false; // Double points until the next miss
+    this.gameState = "START"; // START, IDLE, AIMING, SHOOTING, SCORED, RESET, REPLAY, PAUSED, GAME_OVER
+    this.stateBeforePause = null; // Game state to return to on resume
+    this.mode = null; // Active game mode (endless, arcade, ...)
+    this.shotYaw = 0; // Rotation (radians about Y) from the level's shooting view to the current one
+    this.aimGuide = this.settings.aimGuide; // Trajectory preview length, see AIM_GUIDES
+    this.difficultyTier = 0; // Current hoop motion tier (see level.difficulty)
     this.pendingReset = false; // Flag to track if a reset is already scheduled
-    this.shotStartTime = 0; // Track when a shot starts
-    this.maxShotTime = 2000; // Maximum time for a shot (2 seconds)
-    this.resetDelay = 800; // Shorter reset delay (800ms)
+    this.resetTimer = null; // Scheduler handle of the pending reset
+    this.shotStartTime = 0; // Game time the shot started
+    this.maxShotTime = 2000; // Maximum game time for a shot (2 seconds)
+    this.resetDelay = 800; // Shorter reset delay (800ms of game time)
+    this.scorePopups = new Set(); // Score popups still on screen
+
+    // Shot replays
+    this.shotRecorder = new ShotRecorder();
+    this.replayPlayer = null;
+    this.replayControls = null;
+    this.stateBeforeReplay = null; // Game state to return to after a replay
+
+    // Online opponent's ball, drawn as a ghost
+    this.opponentGhost = null;
+
+    // Pending shot for a computer player (see scheduleComputerShot)
+    this.computerShotTimer = null;
+
+    // Sound effects
+    this.audio = new AudioEngine();
+
+    // What the ball touched during the current shot (swish, bank, rim-in)
+    this.collisionTracker = new CollisionTracker();
+
+    // Start and game over screens
+    this.startScreen = document.getElementById("start-screen");
+    this.gameOverScreen = document.getElementById("game-over-screen");
+    this.pauseScreen = document.getElementById("pause-screen");
+    this.settingsScreen = document.getElementById("settings-screen");
+    this.settingsReturnScreen = null; // Overlay the settings screen was opened from
+    this.summaryElement = document.getElementById("round-summary");
+    this.gameOverTitle = document.getElementById("game-over-title");
+    this.playerCountSelect = document.getElementById("player-count");
+    this.computerSkillSelect = document.getElementById("cpu-skill");
+
+    // Players and letters in multiplayer modes
+    this.turnPanel = document.getElementById("turn-panel");
+
+    // Spots to pick from when setting a H-O-R-S-E shot
+    this.spotPicker = document.getElementById("spot-picker");
+
+    // Power meter for keyboard and gamepad shots
+    this.powerMeter = document.getElementById("power-meter");
+    this.powerMeterCharge = null; // Charge last drawn (null = hidden)
 
     // Initialize score display
     this.updateScoreDisplay();
@@ -43,15 +154,52 @@ export class Game {
     this.handleResize = this.handleResize.bind(this);
     this.initPhysics = this.initPhysics.bind(this);
     this.handleSwipe = this.handleSwipe.bind(this);
+    this.handleSwipeCancel = this.handleSwipeCancel.bind(this);
     this.testShot = this.testShot.bind(this);
+    this.startGame = this.startGame.bind(this);
+    this.showStartScreen = this.showStartScreen.bind(this);
+    this.pauseGame = this.pauseGame.bind(this);
+    this.resumeGame = this.resumeGame.bind(this);
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleBallContact = this.handleBallContact.bind(this);
+    this.unlockAudio = this.unlockAudio.bind(this);
+
+    // Wire up the menu buttons
+    this.setupMenus();
+
+    // Fill in the settings screen and apply what was stored
+    this.setupSettings();
+
+    // Audio can only start after the player interacts with the page
+    window.addEventListener("pointerdown", this.unlockAudio);
+    window.addEventListener("keydown", this.unlockAudio);
+
+    // Pause on its own when the player leaves the page
+    document.addEventListener("visibilitychange", this.handleVisibilityChange);
+    window.addEventListener("blur", this.pauseGame);
+
+    window.addEventListener("keydown", this.handleKeyDown);
+  }
 
-    // Add keyboard listener for test shot
-    window.addEventListener("keydown", (e) => {
-      if (e.key === " ") {
-        // Space bar
-        this.testShot();
+  handleKeyDown(e) {
+    if (e.key === "Escape" || e.key === "p") {
+      // Escape or P pauses and resumes
+      if (this.gameState === "PAUSED") {
+        this.resumeGame();
+      } else {
+        this.pauseGame();
       }
-    });
+    } else if (e.key === "t") {
+      // Debug: T takes a test shot (Space charges a keyboard shot)
+      this.testShot();
+    }
+  }
+
+  handleVisibilityChange() {
+    if (document.visibilityState === "hidden") {
+      this.pauseGame();
+    }
   }
 
   // Load high score from local storage
@@ -68,14 +216,591 @@ export class Game {
   // Update the score display
   updateScoreDisplay() {
     if (this.scoreElement) {
-      this.scoreElement.innerHTML = `
+      const html = `
+        ${this.mode ? this.mode.getHudHtml() : ""}
         <div>Score: ${this.score}</div>
         <div>High Score: ${this.highScore}</div>
-        ${this.streak > 1 ? `<div>Streak: ${this.streak} 🔥</div>` : ""}
+        ${this.streak > 1 ? `<div>Streak: ${this.streak} 🔥 x${this.getStreakMultiplier()}</div>` : ""}
+        ${this.isOnFire ? '<div class="on-fire">ON FIRE x2</div>' : ""}
       `;
+
+      // Skip the DOM write when nothing changed (the clock refreshes every frame)
+      if (html !== this.scoreHtml) {
+        this.scoreElement.innerHTML = html;
+        this.scoreHtml = html;
+      }
+    }
+
+    this.updateTurnPanel();
+  }
+
+  // Show each player's letters, highlighting whose turn it is
+  updateTurnPanel() {
+    if (!this.turnPanel) return;
+
+    const players = this.mode ? this.mode.getPlayers() : null;
+    const current = this.mode ? this.mode.getCurrentPlayer() : null;
+    const html = players
+      ? players
+          .map((player) => {
+            const classes = [
+              "player",
+              player === current ? "current" : "",
+              player.isOut ? "out" : "",
+            ].join(" ");
+            return `<div class="${classes.trim()}">${player.name} <span class="letters">${player.letters || "-"}</span></div>`;
+          })
+          .join("")
+      : "";
+
+    if (html !== this.turnPanelHtml) {
+      this.turnPanel.innerHTML = html;
+      this.turnPanel.classList.toggle("hidden", !players);
+      this.turnPanelHtml = html;
+    }
+
+    this.updateSpotPicker();
+  }
+
+  // Offer the spots to a player who may choose where to shoot from
+  updateSpotPicker() {
+    if (!this.spotPicker) return;
+
+    const canChoose =
+      this.mode &&
+      this.mode.canChooseSpot() &&
+      this.gameState === "IDLE" &&
+      !this.getComputerShooter();
+    const current = canChoose ? this.mode.getCurrentSpot() : null;
+    const html = canChoose
+      ? this.mode.spots
+          .map(
+            (spot, index) =>
+              `<button data-spot="${index}"${spot === current ? ' class="current"' : ""}>${spot.name}</button>`,
+          )
+          .join("")
+      : "";
+
+    if (html !== this.spotPickerHtml) {
+      this.spotPicker.innerHTML = html;
+      this.spotPicker.classList.toggle("hidden", !canChoose);
+      this.spotPickerHtml = html;
+    }
+  }
+
+  // Move the ball to the spot the shooter picked
+  chooseSpot(index) {
+    if (!this.mode || !this.mode.chooseSpot(index)) return;
+
+    this.basketball.reset(this.getSpawnPosition());
+    this.positionCameraForShot();
+    this.updateScoreDisplay();
+  }
+
+  setupMenus() {
+    // Mode buttons on the start screen
+    if (this.startScreen) {
+      this.startScreen.querySelectorAll("[data-mode]").forEach((button) => {
+        button.addEventListener("click", () =>
+          this.startGame(button.dataset.mode),
+        );
+      });
+    }
+
+    // Game over screen buttons
+    const playAgainButton = document.getElementById("play-again-button");
+    if (playAgainButton) {
+      playAgainButton.addEventListener("click", () =>
+        this.startGame(this.mode ? this.mode.name : "arcade"),
+      );
+    }
+
+    const menuButton = document.getElementById("menu-button");
+    if (menuButton) {
+      menuButton.addEventListener("click", this.showStartScreen);
+    }
+
+    // Spot buttons, rebuilt as the turn changes
+    if (this.spotPicker) {
+      this.spotPicker.addEventListener("click", (event) => {
+        const button = event.target.closest("[data-spot]");
+        if (button && this.gameState === "IDLE" && !this.getComputerShooter()) {
+          this.chooseSpot(Number(button.dataset.spot));
+        }
+      });
+    }
+
+    // Pause button and pause menu
+    const buttons = {
+      "pause-button": this.pauseGame,
+      "resume-button": this.resumeGame,
+      "restart-button": () =>
+        this.startGame(this.mode ? this.mode.name : "endless"),
+      "quit-button": this.showStartScreen,
+      "settings-back-button": () => this.hideSettings(),
+    };
+    Object.entries(buttons).forEach(([id, handler]) => {
+      const button = document.getElementById(id);
+      if (button) button.addEventListener("click", handler);
+    });
+
+    // Settings, from the start screen or the pause menu
+    document.querySelectorAll(".settings-button").forEach((button) => {
+      button.addEventListener("click", () =>
+        this.showSettings(button.closest(".overlay")),
+      );
+    });
+  }
+
+  // Show the stored settings on the settings screen and apply each change
+  // straight away. Controls name their setting in data-setting.
+  setupSettings() {
+    if (this.settingsScreen) {
+      this.settingsScreen
+        .querySelectorAll("[data-setting]")
+        .forEach((input) => {
+          const key = input.dataset.setting;
+          if (input.type === "checkbox") {
+            input.checked = this.settings[key];
+          } else {
+            input.value = this.settings[key];
+          }
+
+          const event = input.type === "range" ? "input" : "change";
+          input.addEventListener(event, () => {
+            if (input.type === "checkbox") {
+              this.settings[key] = input.checked;
+            } else if (input.type === "range") {
+              this.settings[key] = parseFloat(input.value);
+            } else {
+              this.settings[key] = input.value;
+            }
+            saveSettings(this.settings);
+            this.applySettings();
+          });
+        });
+    }
+
+    this.applySettings();
+  }
+
+  // Push the current settings to everything they affect (whatever exists yet;
+  // the rest picks them up when it is created)
+  applySettings() {
+    const { sensitivity, aimAssist, volume, leftHanded, graphics } =
+      this.settings;
+
+    this.aimGuide = this.getAimGuide();
+    if (this.inputManager) {
+      this.inputManager.strength = SWIPE_STRENGTH * sensitivity;
+    }
+    if (this.controllerInput) {
+      this.controllerInput.strength = SWIPE_STRENGTH * sensitivity;
+    }
+    if (this.simulation) this.simulation.aimAssist = aimAssist;
+    this.audio.setVolume(volume);
+    document.body.classList.toggle("left-handed", leftHanded);
+    if (this.renderer) this.applyGraphicsQuality(graphics);
+  }
+
+  // Shadows, resolution and antialiasing for a graphics quality setting
+  applyGraphicsQuality(quality) {
+    const { shadows, maxPixelRatio, antialias } = GRAPHICS_QUALITY[quality];
+
+    // Antialiasing is fixed when the WebGL context is made
+    if (this.antialias !== antialias) {
+      this.createRenderer(antialias);
+    }
+
+    this.renderer.setPixelRatio(
+      Math.min(window.devicePixelRatio, maxPixelRatio),
+    );
+    this.renderer.setSize(window.innerWidth, window.innerHeight);
+
+    if (this.renderer.shadowMap.enabled !== shadows) {
+      this.renderer.shadowMap.enabled = shadows;
+
+      // Materials compile with or without shadow support
+      this.scene.traverse((object) => {
+        if (object.material) object.material.needsUpdate = true;
+      });
+    }
+  }
+
+  // (Re)create the renderer. A canvas keeps the WebGL context it was first
+  // given, so a new renderer draws into a fresh copy of the canvas.
+  createRenderer(antialias) {
+    if (this.renderer) {
+      const canvas = this.canvas.cloneNode(false);
+      this.canvas.replaceWith(canvas);
+      this.canvas = canvas;
+
+      this.renderer.dispose();
+      this.renderer.forceContextLoss();
+      if (this.inputManager) this.inputManager.setElement(canvas);
+    }
+
+    this.renderer = new THREE.WebGLRenderer({
+      canvas: this.canvas,
+      antialias,
+    });
+    this.antialias = antialias;
+  }
+
+  // Open the settings screen over the given overlay
+  showSettings(fromScreen) {
+    this.settingsReturnScreen = fromScreen;
+    this.setOverlayVisible(fromScreen, false);
+    this.setOverlayVisible(this.settingsScreen, true);
+  }
+
+  // Back to the screen the settings were opened from
+  hideSettings() {
+    this.setOverlayVisible(this.settingsScreen, false);
+    this.setOverlayVisible(this.settingsReturnScreen, true);
+    this.settingsReturnScreen = null;
+  }
+
+  // Whether there is a round running that can be paused
+  canPause() {
+    return (
+      this.mode !== null &&
+      ["IDLE", "AIMING", "SHOOTING", "SCORED", "RESET"].includes(this.gameState)
+    );
+  }
+
+  /**
+   * Freeze the round and show the pause menu
+   */
+  pauseGame() {
+    if (!this.canPause()) return;
+
+    // A swipe or charge in progress is dropped, not shot
+    if (this.inputManager) this.inputManager.cancelSwipe();
+    if (this.controllerInput) this.controllerInput.cancel();
+    this.stateBeforePause =
+      this.gameState === "AIMING" ? "IDLE" : this.gameState;
+
+    this.gameState = "PAUSED";
+    this.scheduler.pause();
+    this.setOverlayVisible(this.pauseScreen, true);
+  }
+
+  /**
+   * Carry on from where the round was paused
+   */
+  resumeGame() {
+    if (this.gameState !== "PAUSED") return;
+
+    this.gameState = this.stateBeforePause || "IDLE";
+    this.stateBeforePause = null;
+    this.scheduler.resume();
+
+    // Throw away the time spent paused so the world doesn't jump ahead
+    this.clock.getDelta();
+    this.accumulator = 0;
+
+    this.setOverlayVisible(this.pauseScreen, false);
+    this.setOverlayVisible(this.settingsScreen, false);
+  }
+
+  // Leave the pause menu without resuming (restart or quit)
+  closePauseMenu() {
+    this.stateBeforePause = null;
+    this.scheduler.resume();
+    this.setOverlayVisible(this.pauseScreen, false);
+    this.setOverlayVisible(this.settingsScreen, false);
+  }
+
+  // Create the game mode for the given name
+  createMode(name) {
+    switch (name) {
+      case "arcade":
+        return new ArcadeMode({
+          duration: 60000,
+          makesPerTier: this.level.difficulty.makesPerTier,
+        });
+      case "around-the-world":
+        return new AroundTheWorldMode({ spots: this.getSpots() });
+      case "online":
+        return new OnlineMode({
+          client: new NetworkClient(
+            NetworkClient.getServerUrl(window.location.search),
+          ),
+          levelId: this.level.id,
+        });
+      case "horse":
+        return new HorseMode({
+          spots: this.getSpots(),
+          players: this.getPlayerCount(),
+          computers: this.getComputerOpponents(),
+        });
+      default:
+        return new GameMode();
+    }
+  }
+
+  // Number of players picked on the start screen (multiplayer modes)
+  getPlayerCount() {
+    const count = this.playerCountSelect
+      ? parseInt(this.playerCountSelect.value)
+      : 2;
+    return Math.min(Math.max(count || 2, 2), 4);
+  }
+
+  // Trajectory preview length picked on the settings screen (already
+  // checked against AIM_GUIDES by normalizeSettings)
+  getAimGuide() {
+    return this.settings.aimGuide;
+  }
+
+  // Computer opponent picked on the start screen (takes the last seat)
+  getComputerOpponents() {
+    const skill = this.computerSkillSelect
+      ? this.computerSkillSelect.value
+      : "";
+    return skill ? [new AIOpponent({ skill })] : [];
+  }
+
+  // Start a new round in the given mode
+  startGame(modeName = "endless") {
+    this.closePauseMenu();
+    this.cancelComputerShot();
+
+    // Restarting from the pause menu replaces a mode that is still running
+    // (an online one still holds its connection)
+    if (this.mode) {
+      this.mode.stop();
+    }
+    this.mode = this.createMode(modeName);
+    this.mode.start();
+    this.aimGuide = this.getAimGuide();
+
+    // Fresh score for the round (high score is kept)
+    this.score = 0;
+    this.streak = 0;
+    this.setOnFire(false);
+    this.cancelReset();
+    this.timeScale = 1;
+    this.updateBallColor();
+
+    if (this.basketball) {
+      this.basketball.reset(this.getSpawnPosition());
+    }
+    if (this.inputManager) {
+      this.inputManager.hideTrajectoryLine();
+    }
+    this.positionCameraForShot(this.getSpawnPosition(), true);
+    this.updateDifficulty();
+
+    this.setOverlayVisible(this.startScreen, false);
+    this.setOverlayVisible(this.gameOverScreen, false);
+
+    this.gameState = "IDLE";
+    this.updateScoreDisplay();
+    this.scheduleComputerShot();
+  }
+
+  // Finish the current round and show the summary
+  endGame() {
+    if (this.mode) {
+      this.mode.stop();
+    }
+    this.gameState = "GAME_OVER";
+
+    if (this.inputManager) {
+      this.inputManager.hideTrajectoryLine();
+    }
+
+    if (this.gameOverTitle && this.mode) {
+      this.gameOverTitle.textContent = this.mode.getResultTitle();
+    }
+
+    // The shooter's score and streak live on their player until the turn passes
+    this.storePlayerState();
+
+    if (this.summaryElement && this.mode) {
+      const { makes, attempts, accuracy, spots, players, opponentMakes } =
+        this.mode.getSummary();
+      this.summaryElement.innerHTML = `
+        <div>Score: ${this.score}</div>
+        <div>Makes: ${makes}</div>
+        <div>Attempts: ${attempts}</div>
+        <div>Accuracy: ${accuracy}%</div>
+        ${opponentMakes !== undefined ? `<div>Opponent Makes: ${opponentMakes}</div>` : ""}
+        ${this.score >= this.highScore && this.score > 0 ? "<div>New High Score!</div>" : ""}
+        ${spots ? this.getSpotSummaryHtml(spots) : ""}
+        ${players ? this.getPlayerSummaryHtml(players) : ""}
+      `;
+    }
+
+    this.updateScoreDisplay();
+    this.setOverlayVisible(this.gameOverScreen, true);
+  }
+
+  // Switch the hoop's motion when the mode's difficulty tier changes
+  updateDifficulty() {
+    const tier = this.mode ? this.mode.getDifficultyTier() : 0;
+    if (!this.hoop || tier === this.difficultyTier) return;
+
+    this.difficultyTier = tier;
+
+    // Tier 0 is the level's own hoop motion; later tiers come from the list
+    const { hoopMotions } = this.level.difficulty;
+    const motion =
+      tier === 0 || hoopMotions.length === 0
+        ? this.level.hoop.motion
+        : hoopMotions[Math.min(tier, hoopMotions.length) - 1];
+    this.hoop.setMotion(motion);
+  }
+
+  // Score multiplier for the next make: grows by one every
+  // `streakPerMultiplier` makes in a row, up to `maxStreakMultiplier`
+  getStreakMultiplier() {
+    return Math.min(
+      1 + Math.floor(this.streak / this.streakPerMultiplier),
+      this.maxStreakMultiplier,
+    );
+  }
+
+  setOnFire(onFire) {
+    this.isOnFire = onFire;
+    if (this.basketball) this.basketball.setOnFire(onFire);
+  }
+
+  // Per-spot makes and attempts for the summary screen
+  getSpotSummaryHtml(spots) {
+    const rows = spots
+      .map(
+        ({ name, makes, attempts }) =>
+          `<tr><td>${name}</td><td>${makes}/${attempts}</td></tr>`,
+      )
+      .join("");
+    return `<table class="spot-summary">${rows}</table>`;
+  }
+
+  // Per-player scores and letters for the summary screen
+  getPlayerSummaryHtml(players) {
+    const rows = players
+      .map(
+        ({ name, score, letters }) =>
+          `<tr><td>${name}</td><td>${letters || "-"}</td><td>${score}</td></tr>`,
+      )
+      .join("");
+    return `<table class="spot-summary">${rows}</table>`;
+  }
+
+  // Save the shooter's score, streak and fire onto their player
+  storePlayerState() {
+    const player = this.mode ? this.mode.getCurrentPlayer() : null;
+    if (!player) return;
+
+    player.score = this.score;
+    player.streak = this.streak;
+    player.isOnFire = this.isOnFire;
+  }
+
+  // Pass the ball to the next shooter, swapping in their score and streak
+  advanceTurn() {
+    if (!this.mode) return;
+
+    this.storePlayerState();
+    this.mode.advanceTurn();
+
+    const player = this.mode.getCurrentPlayer();
+    if (player) {
+      this.score = player.score;
+      this.streak = player.streak;
+      this.setOnFire(player.isOnFire);
+    }
+    this.updateBallColor();
+  }
+
+  // The computer shooting this turn, or null when it is a person's turn
+  getComputerShooter() {
+    const player = this.mode ? this.mode.getCurrentPlayer() : null;
+    return player ? player.computer : null;
+  }
+
+  // Computer players shoot a ball of their own colour
+  updateBallColor() {
+    if (!this.basketball) return;
+    const computer = this.getComputerShooter();
+    this.basketball.setColor(computer ? computer.color : null);
+  }
+
+  // On a computer player's turn, shoot for them after a short pause
+  scheduleComputerShot() {
+    const computer = this.getComputerShooter();
+    if (!computer) return;
+
+    // A computer setting a shot picks its own spot first
+    if (this.mode.canChooseSpot() && !this.mode.isSpotChosen) {
+      this.chooseSpot(computer.pickSpot(this.mode.spots.length));
+    }
+
+    this.cancelComputerShot();
+    this.computerShotTimer = this.scheduler.schedule(
+      computer.getThinkTime(),
+      () => {
+        this.computerShotTimer = null;
+        if (this.getComputerShooter() === computer && this.canShoot()) {
+          this.takeComputerShot(computer);
+        }
+      },
+    );
+  }
+
+  cancelComputerShot() {
+    this.scheduler.cancel(this.computerShotTimer);
+    this.computerShotTimer = null;
+  }
+
+  takeComputerShot(computer) {
+    const force = computer.aimShot(this.simulation);
+    if (!force) {
+      // No way to score from here: count it as a miss so the turn moves on
+      console.log(`${computer.getName()} has no shot from here`);
+      this.mode.recordShot(null);
+      this.handleMiss();
+      return;
+    }
+    this.launchShot(force);
+  }
+
+  // Return to the title screen
+  showStartScreen() {
+    this.closePauseMenu();
+    if (this.mode) {
+      this.mode.stop();
+    }
+    this.cancelComputerShot();
+    this.mode = null;
+    this.cancelReset();
+    this.updateBallColor();
+    this.gameState = "START";
+
+    this.setOverlayVisible(this.gameOverScreen, false);
+    this.setOverlayVisible(this.startScreen, true);
+    this.updateScoreDisplay();
+  }
+
+  setOverlayVisible(element, visible) {
+    if (element) {
+      element.classList.toggle("hidden", !visible);
     }
   }
 
+  // Whether the player is allowed to take a shot right now
+  canShoot() {
+    return (
+      (this.gameState === "IDLE" || this.gameState === "AIMING") &&
+      this.basketball &&
+      this.mode &&
+      this.mode.canShoot()
+    );
+  }
+
   init() {
     if (this.isInitialized) return;
 
@@ -92,37 +817,44 @@ export class Game {
     this.scene.background = new THREE.Color(0x87ceeb); // Sky blue
 
     // Create camera
+    const { fov, position, lookAt } = this.level.camera;
     this.camera = new THREE.PerspectiveCamera(
-      75,
+      fov,
       window.innerWidth / window.innerHeight,
       0.1,
       1000,
     );
-    this.camera.position.set(0, 2.5, 6); // Reset to standard view position
-    this.camera.lookAt(0, 2, -2); // Look slightly up towards the hoop
+    this.camera.position.set(position.x, position.y, position.z);
+    this.camera.lookAt(lookAt.x, lookAt.y, lookAt.z);
+    this.cameraDirector = new CameraDirector(this.camera);
 
-    // Create renderer
-    this.renderer = new THREE.WebGLRenderer({
-      canvas: this.canvas,
-      antialias: true,
-    });
-    this.renderer.setPixelRatio(window.devicePixelRatio);
-    this.renderer.setSize(window.innerWidth, window.innerHeight);
-    this.renderer.shadowMap.enabled = true;
+    // Create renderer at the chosen graphics quality
+    const { antialias } = GRAPHICS_QUALITY[this.settings.graphics];
+    this.createRenderer(antialias);
+    this.applyGraphicsQuality(this.settings.graphics);
 
     // Add lights
     this.setupLights();
 
+    // Replay playback shares the scene and camera
+    this.setupReplay();
+
     // Add event listeners
     window.addEventListener("resize", this.handleResize);
   }
 
   initPhysics() {
-    // Initialize Ammo.js physics
-    this.physics = new AmmoPhysics(this.scene);
-
-    // Set stronger gravity for more natural bouncing
-    this.physics.setGravity(0, -12, 0); // Default is (0, -9.8, 0)
+    // Build the physics world, ground, basketball and hoop
+    this.simulation = new Simulation(this.scene, {
+      level: this.level,
+      fixedTimeStep: this.fixedTimeStep,
+      aimAssist: this.settings.aimAssist,
+      onBallContact: this.handleBallContact, // Play sounds when the ball hits things
+    });
+    this.simulation.init(this.getSpawnPosition());
+    this.physics = this.simulation.physics;
+    this.basketball = this.simulation.basketball;
+    this.hoop = this.simulation.hoop;
 
     // Enable debug rendering during development with more visible settings
     // this.physics.debug.enable();
@@ -140,12 +872,6 @@ export class Game {
       });
     }
 
-    // Create ground with physics
-    this.createGround();
-
-    // Create basketball and hoop
-    this.createGameObjects();
-
     // Create input manager for swipe controls
     this.setupInputManager();
 
@@ -177,36 +903,79 @@ export class Game {
     this.scene.add(directionalLight);
   }
 
-  createGround() {
-    // Create a floor plane with physics
-    const width = 20;
-    const height = 20;
+  // Where the ball is placed for the next shot
+  getSpawnPosition() {
+    const modeSpawn = this.mode ? this.mode.getSpawnPosition() : null;
+    return modeSpawn || { ...this.level.ball.spawn };
+  }
 
-    // Add a physical ground plane with improved properties for bounce
-    const ground = this.physics.add.ground(
-      {
-        width,
-        height,
-        depth: 1,
-        restitution: 0.95, // Increased from 0.9 to 0.95 for better bounce
+  // The level's shooting spots in world space
+  getSpots() {
+    const hoopPos = this.level.hoop.position;
+    const spawnHeight = this.level.ball.spawn.y;
+
+    return this.level.spots.map((spot) => ({
+      name: spot.name,
+      position: {
+        x: hoopPos.x + spot.x,
+        y: spawnHeight,
+        z: hoopPos.z + spot.z,
       },
-      { phong: { color: 0x2e8b57, transparent: true, opacity: 0.8 } },
+    }));
+  }
+
+  // Move the camera behind the ball so the view faces the hoop. The level's
+  // camera placement (relative to its spawn point) is turned to match, and
+  // the same turn is applied to shots so "swipe up" always aims at the hoop.
+  // The camera eases there from wherever it is unless `snap` is set.
+  positionCameraForShot(ballPosition = this.getSpawnPosition(), snap = false) {
+    if (!this.camera) return;
+
+    const { camera, ball, hoop } = this.level;
+    const up = new THREE.Vector3(0, 1, 0);
+
+    // Heading from the level spawn to the hoop, and from this spot
+    const spawnHeading = Math.atan2(
+      hoop.position.x - ball.spawn.x,
+      hoop.position.z - ball.spawn.z,
+    );
+    const heading = Math.atan2(
+      hoop.position.x - ballPosition.x,
+      hoop.position.z - ballPosition.z,
+    );
+    this.shotYaw = heading - spawnHeading;
+
+    // Keep the camera's offset from the ball, turned to the new heading
+    const offset = new THREE.Vector3(
+      camera.position.x - ball.spawn.x,
+      camera.position.y - ball.spawn.y,
+      camera.position.z - ball.spawn.z,
+    ).applyAxisAngle(up, this.shotYaw);
+    const target = new THREE.Vector3(
+      camera.lookAt.x - ball.spawn.x,
+      camera.lookAt.y - ball.spawn.y,
+      camera.lookAt.z - ball.spawn.z,
+    ).applyAxisAngle(up, this.shotYaw);
+
+    this.cameraDirector.setShootingView(
+      offset.add(ballPosition),
+      target.add(ballPosition),
+      snap,
     );
+  }
 
-    // set bounciness
-    ground.body.setBounciness(1);
+  unlockAudio() {
+    this.audio.unlock();
   }
 
-  createGameObjects() {
-    // Create the basketball
-    this.basketball = new Basketball(this.physics, this.scene, {
-      position: { x: 0, y: 1.5, z: 2 }, // Matching reset position
-    });
+  // The ball hit the rim, backboard or ground; tracks the shot and plays impact sounds
+  handleBallContact(surface, impactSpeed) {
+    // Remember what the shot touched so the make can be classified
+    if (this.gameState === "SHOOTING") {
+      this.collisionTracker.record(surface);
+    }
 
-    // Create the hoop and backboard
-    this.hoop = new Hoop(this.physics, this.scene, {
-      position: { x: 0, y: 3.05, z: -5 }, // Moved further back
-    });
+    this.audio.playImpact(surface, impactSpeed);
   }
 
   setupInputManager() {
@@ -214,9 +983,16 @@ export class Game {
     this.inputManager = new InputManager({
       element: this.canvas,
       camera: this.camera,
-      strength: 4, // Reduced for more controlled shots
+      strength: SWIPE_STRENGTH * this.settings.sensitivity,
       showTrajectory: true,
       onSwipe: this.handleSwipe,
+      onCancel: this.handleSwipeCancel,
+    });
+
+    // Arrow keys / left stick to aim, Space / A / right trigger to shoot
+    this.controllerInput = new ControllerInput({
+      strength: this.inputManager.strength,
+      onSwipe: this.handleSwipe,
     });
 
     // Add trajectory line to scene if it exists
@@ -226,76 +1002,339 @@ export class Game {
     }
   }
 
-  handleSwipe(force, isPreview = false) {
-    // Only allow shooting if the ball is not already in motion
-    if (this.gameState !== "SHOOTING" && this.basketball) {
-      // Calculate distance to hoop for force adjustment
-      const ballPos = this.basketball.getPosition();
-      const hoopPos = new THREE.Vector3(0, 3.05, -5); // Hoop position
-      const distanceToHoop = ballPos.distanceTo(hoopPos);
+  setupReplay() {
+    this.replayPlayer = new ReplayPlayer(this.scene, this.camera);
+    this.replayControls = new ReplayControls({
+      player: this.replayPlayer,
+      onOpen: (recording) => this.startReplay(recording),
+      onClose: () => this.stopReplay(),
+    });
+  }
 
-      // Add more upward arc and adjust force based on distance
-      const modifiedForce = new THREE.Vector3(
-        force.x * 0.7, // Reduce left/right movement
-        force.y * 1.8, // Increased upward force for better arc
-        force.z * (distanceToHoop / 5), // Increased forward force
-      );
+  // Draw the online opponent's ball (hidden when there is none)
+  updateOpponentGhost() {
+    const ball = this.mode ? this.mode.getOpponentBall() : null;
 
-      // Add a slight auto-aim assist towards the hoop
-      const aimAssist = new THREE.Vector3(
-        -ballPos.x * 0.1, // Slight correction towards center
-        0,
-        0,
+    if (ball && !this.opponentGhost) {
+      const geometry = new THREE.SphereGeometry(
+        this.basketball ? this.basketball.config.radius : 0.24,
+        24,
+        24,
       );
-      modifiedForce.add(aimAssist);
+      const material = new THREE.MeshStandardMaterial({
+        color: 0x3a8dff,
+        transparent: true,
+        opacity: 0.45,
+        depthWrite: false,
+      });
+      this.opponentGhost = new THREE.Mesh(geometry, material);
+      this.scene.add(this.opponentGhost);
+    }
+
+    if (this.opponentGhost) {
+      this.opponentGhost.visible = ball !== null;
+      if (ball) {
+        this.opponentGhost.position.fromArray(ball.position);
+        this.opponentGhost.quaternion.fromArray(ball.quaternion);
+      }
+    }
+  }
+
+  // Watch a recorded shot; the live ball waits at rest until the replay closes.
+  // An imported replay can also be watched from the start or game over
+  // screen, which is hidden until the replay closes.
+  startReplay(recording) {
+    const canReplay =
+      this.gameState === "IDLE" ||
+      this.gameState === "AIMING" ||
+      this.gameState === "START" ||
+      this.gameState === "GAME_OVER" ||
+      this.gameState === "REPLAY";
+    if (!canReplay || !this.replayPlayer) return;
+
+    if (this.gameState !== "REPLAY") {
+      this.stateBeforeReplay =
+        this.gameState === "AIMING" ? "IDLE" : this.gameState;
+    }
+    this.gameState = "REPLAY";
+    this.setOverlayVisible(this.startScreen, false);
+    this.setOverlayVisible(this.gameOverScreen, false);
+
+    // Game timers wait while the replay is watched
+    this.scheduler.pause();
+
+    if (this.inputManager) this.inputManager.hideTrajectoryLine();
+    if (this.basketball && this.basketball.mesh) {
+      this.basketball.mesh.visible = false;
+    }
+
+    this.replayControls.setOpen(true);
+    this.replayPlayer.start(recording);
+  }
+
+  stopReplay() {
+    if (this.gameState !== "REPLAY") return;
+
+    this.replayPlayer.stop();
+    this.replayControls.setOpen(false);
+
+    if (this.basketball && this.basketball.mesh) {
+      this.basketball.mesh.visible = true;
+    }
+    this.gameState = this.stateBeforeReplay || "IDLE";
+    this.setOverlayVisible(this.startScreen, this.gameState === "START");
+    this.setOverlayVisible(this.gameOverScreen, this.gameState === "GAME_OVER");
+    this.scheduler.resume();
+    this.scheduleComputerShot();
+  }
+
+  // Stop recording the current shot and offer the last make for replay
+  finishShotRecording() {
+    this.shotRecorder.finish();
+    if (this.replayControls) {
+      this.replayControls.setAvailable(this.shotRecorder.lastMake);
+    }
+  }
+
+  handleSwipe(force, isPreview = false, spin = null) {
+    // Only allow shooting if the ball is at rest, the round is running and
+    // it is a person's turn
+    if (this.canShoot() && !this.getComputerShooter()) {
+      // Arc, distance scaling and aim assist (see Simulation.shapeShot)
+      const shaped = this.simulation.shapeShot(force, spin, this.shotYaw);
+      const modifiedForce = shaped.force;
+      spin = shaped.spin;
 
       if (isPreview) {
         // Just update the trajectory preview
-        if (this.inputManager.trajectoryLine) {
-          const ballPosition = this.basketball.getPosition();
-          this.inputManager.updateTrajectoryLine(ballPosition, modifiedForce);
-        }
+        this.updateAimGuide(modifiedForce, spin);
         this.gameState = "AIMING";
       } else {
         // Actually shoot the ball
-        this.basketball.applyForce(modifiedForce);
-        this.gameState = "SHOOTING";
+        this.launchShot(modifiedForce, spin, this.inputManager.lastSwipe);
+      }
+    }
+  }
 
-        // Record the shot start time
-        this.shotStartTime = Date.now();
+  // A swipe was abandoned (pointer cancelled, window lost focus): the
+  // preview is already gone, so just stop aiming
+  handleSwipeCancel() {
+    if (this.gameState === "AIMING") {
+      this.gameState = "IDLE";
+    }
+  }
 
-        // Hide the trajectory line
-        this.inputManager.hideTrajectoryLine();
+  // Show the keyboard/gamepad power meter while a shot is charging
+  updatePowerMeter() {
+    if (!this.powerMeter) return;
 
-        console.log("Shot taken with force:", modifiedForce);
-      }
+    const charge = this.controllerInput.isCharging
+      ? this.controllerInput.getCharge()
+      : null;
+    if (charge === this.powerMeterCharge) return;
+
+    this.powerMeter.classList.toggle("hidden", charge === null);
+    this.powerMeter.firstElementChild.style.width = `${(charge || 0) * 100}%`;
+    this.powerMeterCharge = charge;
+  }
+
+  // Draw where the shot would go, as far as the aim guide setting allows
+  updateAimGuide(force, spin) {
+    const guide = this.settings.trajectory ? AIM_GUIDES[this.aimGuide] : null;
+    if (!guide) {
+      this.inputManager.hideTrajectoryLine();
+      return;
     }
+
+    const { points } = this.simulation.predictShot(force, spin, guide);
+    this.inputManager.updateTrajectoryLine([
+      this.basketball.getPosition(),
+      ...points,
+    ]);
+  }
+
+  /**
+   * Shoot the ball with a final impulse (a player's shaped swipe or a
+   * computer player's shot)
+   * @param {THREE.Vector3} force Impulse to apply
+   * @param {THREE.Vector3|null} [spin] Angular velocity (rad/s)
+   * @param {Object|null} [swipe] The swipe behind the shot, kept in replays
+   */
+  launchShot(force, spin = null, swipe = null) {
+    const ballPos = this.basketball.getPosition();
+
+    // The impulse adds to however the ball is already moving (it may still
+    // be bouncing), so the mode gets the body's state just before it
+    const release = {
+      position: this.basketball.getBodyPosition(),
+      velocity: this.basketball.getVelocity(),
+    };
+    this.simulation.shoot(force, spin);
+    this.gameState = "SHOOTING";
+    this.mode.recordShot({
+      ...release,
+      force,
+      spin,
+      hoopTime: this.hoop.motion.time, // Where a moving hoop is on its path
+    });
+    this.collisionTracker.begin();
+    this.cameraDirector.follow();
+
+    // Record the shot start time
+    this.shotStartTime = this.scheduler.now();
+    this.slowMotionTime = 0;
+
+    // Start recording the shot for replays
+    this.shotRecorder.begin({
+      swipe,
+      force,
+      spin,
+      position: ballPos,
+      step: this.fixedTimeStep,
+    });
+
+    // Hide the trajectory line
+    this.inputManager.hideTrajectoryLine();
+
+    console.log("Shot taken with force:", force);
   }
 
   update() {
     this.animationFrameId = requestAnimationFrame(this.update);
 
-    // Update physics if initialized
-    if (this.physics) {
-      const delta = this.clock.getDelta() * 1000;
-      this.physics.update(delta);
+    // Update physics if initialized (the world stands still while paused)
+    if (this.physics && this.gameState !== "PAUSED") {
+      // Clamp long frames (e.g. after a stall) so we don't try to catch up forever
+      const frameTime = Math.min(this.clock.getDelta(), 0.25);
+
+      // Slow down for close calls; everything in the game world runs on
+      // the scaled time from here on
+      this.updateTimeScale(frameTime);
+      const gameDelta = frameTime * this.timeScale;
+      this.accumulator += gameDelta;
+
+      // Run as many fixed steps as the elapsed time covers
+      let steps = 0;
+      while (
+        this.accumulator >= this.fixedTimeStep &&
+        steps < this.maxSubSteps
+      ) {
+        this.stepPhysics(this.fixedTimeStep);
+        this.accumulator -= this.fixedTimeStep;
+        steps++;
+      }
+
+      // Too far behind: drop the backlog rather than spiral
+      if (steps === this.maxSubSteps) {
+        this.accumulator = Math.min(this.accumulator, this.fixedTimeStep);
+      }
+
+      // Draw the ball between the last two physics states
+      if (this.basketball) {
+        this.basketball.interpolate(this.accumulator / this.fixedTimeStep);
+        this.basketball.updateEffects(gameDelta);
+      }
+
+      // Game-time timers (resets, computer shots) that have come due
+      this.scheduler.timeScale = this.timeScale;
+      this.scheduler.update(frameTime * 1000);
+
+      // Move the camera with the ball (a replay drives it itself)
+      if (this.basketball && !this.replayPlayer.isActive) {
+        this.cameraDirector.update(
+          gameDelta,
+          this.basketball.mesh.position,
+          this.hoop.getRimPosition(),
+        );
+      }
+
       this.physics.updateDebugger();
 
-      // Update game objects
-      if (this.basketball) this.basketball.update();
-      if (this.hoop) this.hoop.update();
+      // Keyboard and gamepad aiming and charging
+      if (this.controllerInput) {
+        this.controllerInput.update(frameTime);
+        this.updatePowerMeter();
+      }
 
-      // Check for basket made
-      this.checkForBasket();
+      this.updateOpponentGhost();
+
+      // Advance any replay being watched (in real time, not physics steps)
+      if (this.replayPlayer && this.replayPlayer.isActive) {
+        this.replayPlayer.update(frameTime);
+        this.replayControls.update();
+      }
 
-      // Check ball state
-      this.checkBallState();
+      // End the round once time is up and the last shot has resolved
+      if (
+        this.mode &&
+        this.mode.isOver() &&
+        (this.gameState === "IDLE" || this.gameState === "AIMING")
+      ) {
+        this.endGame();
+      }
+
+      this.updateScoreDisplay();
     }
 
     // Render the scene
     this.renderer.render(this.scene, this.camera);
   }
 
+  // Ease the time scale towards slow motion during a close call, and back
+  updateTimeScale(frameTime) {
+    const slow = this.slowMotionTime < this.maxSlowMotion && this.isCloseCall();
+    if (slow) this.slowMotionTime += frameTime;
+
+    const target = slow ? this.slowMotionScale : 1;
+    const blend = 1 - Math.exp(-frameTime / this.slowMotionEase);
+    this.timeScale += (target - this.timeScale) * blend;
+  }
+
+  // The ball in flight is about to hit the rim or backboard, so a make or
+  // miss is in doubt (clean swishes and airballs play at full speed)
+  isCloseCall() {
+    if (this.gameState !== "SHOOTING" || this.pendingReset) return false;
+
+    const { bounces } = this.simulation.predictBall({
+      duration: this.slowMotionLookahead,
+      maxBounces: 0,
+    });
+    return bounces.length > 0;
+  }
+
+  // Advance the simulation by one fixed step
+  stepPhysics(step) {
+    // Physics, interpolation state, spin and net
+    this.simulation.step();
+
+    // Record the ball's flight for replays
+    if (this.basketball && this.shotRecorder.isRecording()) {
+      this.shotRecorder.recordFrame(
+        this.basketball.currentPosition,
+        this.basketball.currentQuaternion,
+      );
+    }
+
+    // Let online play stream the ball to the opponent
+    if (this.basketball && this.mode && this.gameState === "SHOOTING") {
+      this.mode.updateBall(
+        this.basketball.currentPosition,
+        this.basketball.currentQuaternion,
+      );
+    }
+
+    // Advance the round clock (it stands still while watching a replay)
+    if (this.mode && this.gameState !== "REPLAY") {
+      this.mode.update(step * 1000);
+    }
+
+    // Check for basket made
+    this.checkForBasket();
+
+    // Check ball state
+    this.checkBallState();
+  }
+
   checkForBasket() {
     // Only check if both the basketball and hoop exist and the ball is in motion
     if (
@@ -306,17 +1345,35 @@ export class Game {
       this.hoop.triggerZone &&
       !this.pendingReset
     ) {
-      // Get the ball's velocity to ensure it's moving downward through the hoop
-      const velocity = this.basketball.getVelocity();
-
       // Check if ball is passing through the hoop from top to bottom
-      if (velocity.y < 0 && this.hoop.checkBasket(this.basketball.mesh)) {
+      if (this.simulation.isBasket()) {
+        // Swish, bank shot or rim-in, each worth different points
+        const shot = this.collisionTracker.classifyMake();
+
+        // The streak so far multiplies the points; on fire doubles them again
+        shot.multiplier = this.getStreakMultiplier() * (this.isOnFire ? 2 : 1);
+        shot.total *= shot.multiplier;
+
         // Increment score
-        this.score++;
+        this.score += shot.total;
 
         // Increment streak
         this.streak++;
 
+        // Enough makes in a row and the ball catches fire
+        if (!this.isOnFire && this.streak >= this.onFireStreak) {
+          this.setOnFire(true);
+        }
+
+        // Count the make for the round
+        if (this.mode) this.mode.recordResult(true);
+
+        // Keep this one for the replay
+        this.shotRecorder.markMade();
+
+        // Enough makes may move the hoop up a difficulty tier
+        this.updateDifficulty();
+
         // Check for high score
         if (this.score > this.highScore) {
           this.highScore = this.score;
@@ -332,24 +1389,48 @@ export class Game {
         // Schedule a reset after a short delay
         this.pendingReset = true;
 
-        // Play success sound or visual effect
-        this.showScoreEffect();
+        // Play success sound and visual effect
+        if (shot.type === "swish") {
+          this.audio.playSwish();
+        } else {
+          this.audio.playNetMake();
+        }
+        this.showScoreEffect(shot);
 
-        setTimeout(() => {
-          if (this.gameState === "SCORED") {
-            this.resetBasketball();
-          }
-        }, this.resetDelay);
+        // Orbit the hoop, then reset once the score cam has had its moment
+        this.cameraDirector.celebrate(this.hoop.getRimPosition());
+        const scoreCamTime = this.cameraDirector.config.orbitDuration * 1000;
+        this.scheduleReset(Math.max(this.resetDelay, scoreCamTime));
       }
     }
   }
 
-  // Reset the basketball after scoring
+  // Reset the ball after some game time. Only one reset is ever pending: a
+  // new one replaces it.
+  scheduleReset(delay) {
+    this.scheduler.cancel(this.resetTimer);
+    this.resetTimer = this.scheduler.schedule(delay, () => {
+      this.resetTimer = null;
+      this.resetBasketball();
+    });
+  }
+
+  cancelReset() {
+    this.scheduler.cancel(this.resetTimer);
+    this.resetTimer = null;
+    this.pendingReset = false;
+  }
+
+  // Put the ball back for the next shot once a make or miss has played out
   resetBasketball() {
     try {
-      console.log("Resetting basketball after score...");
-      this.basketball.reset({ x: 0, y: 1.5, z: 2 }); // Closer reset position
+      console.log("Resetting basketball...");
+      this.finishShotRecording();
+      this.advanceTurn();
+      this.basketball.reset(this.getSpawnPosition());
+      this.positionCameraForShot();
       this.gameState = "IDLE";
+      this.scheduleComputerShot();
     } catch (error) {
       console.error("Error during reset after score:", error);
     } finally {
@@ -359,10 +1440,13 @@ export class Game {
   }
 
   // Show a visual effect when scoring
-  showScoreEffect() {
+  showScoreEffect(shot = null) {
     // Create a simple text popup at the score location
     const scorePopup = document.createElement("div");
-    scorePopup.textContent = "+1";
+    scorePopup.textContent = shot ? `${shot.label} +${shot.total}` : "+1";
+    if (shot && shot.multiplier > 1) {
+      scorePopup.textContent += ` (x${shot.multiplier})`;
+    }
     scorePopup.style.position = "absolute";
     scorePopup.style.color = "#ffcc00";
     scorePopup.style.fontSize = "36px";
@@ -377,17 +1461,19 @@ export class Game {
     scorePopup.style.transition = "all 1s ease-out";
 
     document.body.appendChild(scorePopup);
+    this.scorePopups.add(scorePopup);
 
     // Animate the popup
-    setTimeout(() => {
+    this.scheduler.schedule(50, () => {
       scorePopup.style.opacity = "0";
       scorePopup.style.top = "50px";
 
       // Remove the element after animation
-      setTimeout(() => {
-        document.body.removeChild(scorePopup);
-      }, 1000);
-    }, 50);
+      this.scheduler.schedule(1000, () => {
+        scorePopup.remove();
+        this.scorePopups.delete(scorePopup);
+      });
+    });
   }
 
   checkBallState() {
@@ -400,47 +1486,46 @@ export class Game {
       const velocity = this.basketball.getVelocity();
 
       // Check if ball is out of bounds (too far or below ground)
-      const isTooFar = Math.abs(position.x) > 10 || Math.abs(position.z) > 10;
-      const isBelowGround = position.y < -5;
+      const { bounds } = this.level;
+      const isTooFar =
+        Math.abs(position.x) > bounds.x || Math.abs(position.z) > bounds.z;
+      const isBelowGround = position.y < bounds.minY;
 
       // Check if ball has stopped moving (very low velocity)
       const speed = velocity.length();
       const hasStopped = speed < 0.1;
 
-      // Check if maximum shot time has elapsed
-      const shotTime = Date.now() - this.shotStartTime;
+      // Check if maximum shot time has elapsed (in game time, so slow
+      // motion doesn't cut a shot short)
+      const shotTime = this.scheduler.now() - this.shotStartTime;
       const shotTimeExceeded = shotTime > this.maxShotTime;
 
       if (isTooFar || isBelowGround || hasStopped || shotTimeExceeded) {
-        // Set the pending reset flag to prevent multiple reset attempts
-        this.pendingReset = true;
+        this.handleMiss();
+      }
+    }
+  }
 
-        // Update game state
-        this.gameState = "RESET";
+  // Count a missed shot and put the ball back for the next one
+  handleMiss() {
+    // Set the pending reset flag to prevent multiple reset attempts
+    this.pendingReset = true;
 
-        // Reset streak when missing a shot
-        this.streak = 0;
+    // Update game state
+    this.gameState = "RESET";
 
-        // Update the score display to show the reset streak
-        this.updateScoreDisplay();
+    // Reset streak when missing a shot (and put out the fire)
+    this.streak = 0;
+    this.setOnFire(false);
 
-        // Reset the ball after a shorter delay
-        delay(this.resetDelay).then(() => {
-          if (this.basketball) {
-            try {
-              console.log("Resetting basketball...");
-              this.basketball.reset({ x: 0, y: 1.5, z: 2 }); // Closer reset position
-              this.gameState = "IDLE";
-            } catch (error) {
-              console.error("Error during reset:", error);
-            } finally {
-              // Clear the pending reset flag
-              this.pendingReset = false;
-            }
-          }
-        });
-      }
-    }
+    // Count the miss for the round
+    if (this.mode) this.mode.recordResult(false);
+
+    // Update the score display to show the reset streak
+    this.updateScoreDisplay();
+
+    // Reset the ball after a shorter delay
+    this.scheduleReset(this.resetDelay);
   }
 
   handleResize() {
@@ -459,6 +1544,19 @@ export class Game {
     }
 
     window.removeEventListener("resize", this.handleResize);
+    window.removeEventListener("pointerdown", this.unlockAudio);
+    window.removeEventListener("keydown", this.unlockAudio);
+    window.removeEventListener("keydown", this.handleKeyDown);
+    window.removeEventListener("blur", this.pauseGame);
+    document.removeEventListener(
+      "visibilitychange",
+      this.handleVisibilityChange,
+    );
+    this.scheduler.clear();
+
+    // The scheduler would have removed these once they faded out
+    this.scorePopups.forEach((popup) => popup.remove());
+    this.scorePopups.clear();
 
     // Dispose of Three.js resources
     this.renderer.dispose();
@@ -467,6 +1565,15 @@ export class Game {
     if (this.basketball) this.basketball.dispose();
     if (this.hoop) this.hoop.dispose();
     if (this.inputManager) this.inputManager.dispose();
+    if (this.controllerInput) this.controllerInput.dispose();
+    if (this.replayPlayer) this.replayPlayer.dispose();
+    if (this.replayControls) this.replayControls.dispose();
+    if (this.mode) this.mode.stop();
+    if (this.opponentGhost) {
+      this.opponentGhost.geometry.dispose();
+      this.opponentGhost.material.dispose();
+    }
+    this.audio.dispose();
 
     // Dispose of physics
     if (this.physics) {
@@ -476,25 +1583,29 @@ export class Game {
     // Clear references
     this.scene = null;
     this.camera = null;
+    this.cameraDirector = null;
     this.renderer = null;
     this.physics = null;
     this.basketball = null;
     this.hoop = null;
     this.inputManager = null;
+    this.controllerInput = null;
+    this.replayPlayer = null;
+    this.replayControls = null;
     this.isInitialized = false;
   }
 
   testShot() {
-    if (this.gameState !== "SHOOTING" && this.basketball) {
+    if (this.canShoot()) {
       console.log("Taking test shot...");
 
       // Position the ball right on the backboard's top edge
-      // Backboard is at z: -5, height is 1.35m, and centered at 3.05m
-      // So top edge is at ~3.725m (3.05 + 1.35/2)
+      // (rim height + half the backboard height, e.g. 3.05 + 1.35/2)
+      const hoopPos = this.hoop.getRimPosition();
       this.basketball.reset({
-        x: 0,
-        y: 3.725, // Exactly at backboard top edge
-        z: -5.1, // Slightly behind backboard to ensure contact
+        x: hoopPos.x,
+        y: hoopPos.y + this.hoop.config.backboardHeight / 2, // Backboard top edge
+        z: hoopPos.z - 0.1, // Slightly behind backboard to ensure contact
       });
 
       // Add a slight forward tilt to make it bounce towards the hoop
@@ -504,12 +1615,13 @@ export class Game {
         0.5, // Slight forward tilt to bounce towards hoop
       );
 
-      // Apply the force after a brief delay to let physics settle
-      setTimeout(() => {
-        this.basketball.applyForce(force);
-        this.gameState = "SHOOTING";
+      // Apply the force after a brief delay to let physics settle. It goes
+      // through launchShot like any other shot, so the round counts it as
+      // an attempt before its result.
+      this.scheduler.schedule(100, () => {
+        this.launchShot(force);
         console.log("Drop force applied:", force);
-      }, 100);
+      });
     }
   }
 }
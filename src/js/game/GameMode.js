@@ -0,0 +1,186 @@
+/**
+ * Base class for game modes.
+ *
+ * The base implementation is the endless "free shoot" mode: there is no clock
+ * and the round never ends. Other modes override the hooks they need.
+ */
+export class GameMode {
+  constructor(options = {}) {
+    this.options = options;
+    this.name = "endless";
+    this.label = "Free Shoot";
+
+    // Round statistics
+    this.makes = 0;
+    this.attempts = 0;
+    this.isRunning = false;
+  }
+
+  /**
+   * Start (or restart) the round
+   */
+  start() {
+    this.makes = 0;
+    this.attempts = 0;
+    this.isRunning = true;
+  }
+
+  /**
+   * Stop the round
+   */
+  stop() {
+    this.isRunning = false;
+  }
+
+  /**
+   * Advance the mode's clock. Called with the elapsed time in milliseconds.
+   */
+  update() {
+    // Endless mode has no clock
+  }
+
+  /**
+   * Whether a new shot may be taken right now
+   * @returns {boolean}
+   */
+  canShoot() {
+    return this.isRunning;
+  }
+
+  /**
+   * Record that a shot has been released. Called with the shot's inputs,
+   * { position, velocity, force, spin, hoopTime } (the ball's position and
+   * velocity just before the impulse), or null when a computer player had
+   * no shot to take (it then counts as a miss).
+   */
+  recordShot() {
+    this.attempts++;
+  }
+
+  /**
+   * Record the outcome of the last shot
+   * @param {boolean} made True if the shot went in
+   */
+  recordResult(made) {
+    if (made) {
+      this.makes++;
+    }
+  }
+
+  /**
+   * Called with the ball's simulated position and quaternion after each
+   * physics step
+   */
+  updateBall() {
+    // Only online play needs to know
+  }
+
+  /**
+   * Another player's ball to draw as a ghost
+   * @returns {{position: number[], quaternion: number[]}|null}
+   */
+  getOpponentBall() {
+    return null;
+  }
+
+  /**
+   * Where the ball should be placed for the next shot
+   * @returns {{x: number, y: number, z: number}|null} Null for the level's spawn point
+   */
+  getSpawnPosition() {
+    return null;
+  }
+
+  /**
+   * Whether the current player may pick the spot to shoot from
+   * @returns {boolean}
+   */
+  canChooseSpot() {
+    return false;
+  }
+
+  /**
+   * Shoot the next shot from one of the mode's `spots`
+   * @param {number} index Index into `spots`
+   * @returns {boolean} False if no spot can be picked right now
+   */
+  chooseSpot() {
+    return false;
+  }
+
+  /**
+   * The player whose turn it is, for modes with several players
+   * @returns {Object|null} Null in single-player modes
+   */
+  getCurrentPlayer() {
+    return null;
+  }
+
+  /**
+   * Everyone playing, for modes with several players
+   * @returns {Object[]|null} Null in single-player modes
+   */
+  getPlayers() {
+    return null;
+  }
+
+  /**
+   * Pass the ball to whoever shoots next (called as the ball resets)
+   */
+  advanceTurn() {
+    // Single player: always your turn
+  }
+
+  /**
+   * How hard the round has become (0 = starting difficulty)
+   * @returns {number}
+   */
+  getDifficultyTier() {
+    return 0;
+  }
+
+  /**
+   * Whether the round has finished
+   * @returns {boolean}
+   */
+  isOver() {
+    return false;
+  }
+
+  /**
+   * Shooting accuracy as a percentage (0-100)
+   * @returns {number}
+   */
+  getAccuracy() {
+    if (this.attempts === 0) return 0;
+    return Math.round((this.makes / this.attempts) * 100);
+  }
+
+  /**
+   * Summary of the round, shown on the game over screen
+   * @returns {{makes: number, attempts: number, accuracy: number}}
+   */
+  getSummary() {
+    return {
+      makes: this.makes,
+      attempts: this.attempts,
+      accuracy: this.getAccuracy(),
+    };
+  }
+
+  /**
+   * Heading for the game over screen
+   * @returns {string}
+   */
+  getResultTitle() {
+    return "Round Over";
+  }
+
+  /**
+   * Extra HUD markup for the mode (e.g. a clock)
+   * @returns {string}
+   */
+  getHudHtml() {
+    return "";
+  }
+}
@@ -1,4 +1,7 @@
 import * as THREE from "three";
+import { Net } from "./Net.js";
+import { HoopMotion } from "./HoopMotion.js";
+import { isLowEndDevice } from "../utils/helpers.js";
 
 export class Hoop {
   constructor(physics, scene, options = {}) {
@@ -16,6 +19,8 @@ export class Hoop {
       backboardThickness: options.backboardThickness || 0.05, // 5cm thickness
       backboardDistFromRim: options.backboardDistFromRim || 0.15, // 15cm from rim center to backboard
       netHeight: options.netHeight || 0.4, // 40cm net height
+      netQuality: options.netQuality || "auto", // "simulated", "static" or "auto"
+      motion: options.motion || { type: "static" }, // See HoopMotion
     };
 
     // Properties
@@ -25,6 +30,14 @@ export class Hoop {
     this.triggerZone = null;
     this.group = new THREE.Group(); // Container for all hoop components
 
+    // Collision shapes of the rim spheres and backboard, centred relative to
+    // the rim centre. Together they make up one compound kinematic body on
+    // the group (see createBody), so the whole hoop moves as one.
+    this.colliders = [];
+
+    // Scripted movement of the whole assembly
+    this.motion = new HoopMotion(this.config.motion);
+
     // Add group to scene
     this.scene.add(this.group);
 
@@ -46,9 +59,32 @@ export class Hoop {
       this.config.position.z,
     );
 
+    // Physics for the rim and backboard, once the group is in place
+    this.createBody();
+
     return this;
   }
 
+  /**
+   * Give the group a single kinematic body built from the collider shapes
+   */
+  createBody() {
+    this.group.name = "hoop"; // Identifies the hoop in collision events
+    this.physics.add.existing(this.group, {
+      compound: this.colliders.map(({ type, center, radius, halfSize }) => ({
+        shape: type,
+        radius,
+        width: halfSize && halfSize.x * 2,
+        height: halfSize && halfSize.y * 2,
+        depth: halfSize && halfSize.z * 2,
+        ...center,
+      })),
+      collisionFlags: 2, // Kinematic so it can move with the hoop
+    });
+
+    return this.group.body;
+  }
+
   createRim() {
     const { rimRadius, rimTubeRadius } = this.config;
 
@@ -66,47 +102,26 @@ export class Hoop {
     this.group.add(rimMesh);
     this.rim = rimMesh;
 
-    // Create a single compounded physics rim using the group's position
-    const pos = this.config.position;
-
-    // Create a ring of spheres for the rim physics that stays in place
+    // A ring of spheres stands in for the rim in the hoop's body
     const numSegments = 12;
     for (let i = 0; i < numSegments; i++) {
       const angle = (i / numSegments) * Math.PI * 2;
-      const x = pos.x + rimRadius * Math.cos(angle);
-      const y = pos.y;
-      const z = pos.z + rimRadius * Math.sin(angle);
-
-      // Create physics sphere
-      const ball = this.physics.add.sphere(
-        {
-          radius: rimTubeRadius,
-          x: x,
-          y: y,
-          z: z,
-          mass: 0,
-          collisionFlags: 1,
-          friction: 0.3,
-          restitution: 0.7,
+      this.colliders.push({
+        name: `rim-${i}`,
+        type: "sphere",
+        center: {
+          x: rimRadius * Math.cos(angle),
+          y: 0,
+          z: rimRadius * Math.sin(angle),
         },
-        {
-          phong: {
-            color: 0xff4500,
-            opacity: 0,
-            transparent: true,
-          },
-        },
-      );
-
-      // Make the sphere invisible but keep physics
-      ball.visible = false;
+        radius: rimTubeRadius,
+      });
     }
 
     return rimMesh;
   }
 
   createBackboard() {
-    const pos = this.config.position;
     const {
       backboardWidth,
       backboardHeight,
@@ -115,44 +130,42 @@ export class Hoop {
       rimRadius,
     } = this.config;
 
-    // Calculate the absolute position of the backboard
-    const backboardX = pos.x;
-    const backboardY = pos.y + (backboardHeight / 2 - rimRadius);
-    const backboardZ = pos.z - backboardDistFromRim - backboardThickness / 2;
-
-    // Create backboard with direct physics at the absolute position
-    const backboardBody = this.physics.add.box(
-      {
-        width: backboardWidth,
-        height: backboardHeight,
-        depth: backboardThickness,
-        x: backboardX,
-        y: backboardY,
-        z: backboardZ,
-        mass: 0,
-        collisionFlags: 1,
-        friction: 0.8,
-        restitution: 0.6,
-        metalness: 0.4,
-        roughness: 0.2,
-      },
-      {
-        phong: {
-          color: 0xffffff,
-        },
-      },
-    );
-
-    // Store reference
-    this.backboard = backboardBody;
+    // Centre of the backboard relative to the rim centre
+    const center = {
+      x: 0,
+      y: backboardHeight / 2 - rimRadius,
+      z: -backboardDistFromRim - backboardThickness / 2,
+    };
 
-    // Don't add to group - it would double-transform
-    // Instead, manually position the visual elements
+    // Create the visual backboard
+    const geometry = new THREE.BoxGeometry(
+      backboardWidth,
+      backboardHeight,
+      backboardThickness,
+    );
+    const material = new THREE.MeshPhongMaterial({ color: 0xffffff });
+    const backboard = new THREE.Mesh(geometry, material);
+    backboard.position.set(center.x, center.y, center.z);
+    backboard.castShadow = backboard.receiveShadow = true;
+    this.group.add(backboard);
+    this.backboard = backboard;
+
+    // And its part of the hoop's body
+    this.colliders.push({
+      name: "backboard",
+      type: "box",
+      center,
+      halfSize: {
+        x: backboardWidth / 2,
+        y: backboardHeight / 2,
+        z: backboardThickness / 2,
+      },
+    });
 
     // Add the square on the backboard
     this.createBackboardSquare();
 
-    return backboardBody;
+    return backboard;
   }
 
   createBackboardSquare() {
@@ -189,40 +202,24 @@ export class Hoop {
   }
 
   createNet() {
-    // Create a simple representation of a net
-    // In a complete implementation, this could be a cloth simulation
-
-    // Create a conical mesh to represent the net
-    const geometry = new THREE.ConeGeometry(
-      this.config.rimRadius,
-      this.config.netHeight,
-      16,
-      1,
-      true, // Open ended
-    );
-
-    // Create material - white, transparent mesh
-    const material = new THREE.MeshBasicMaterial({
-      color: 0xffffff,
-      transparent: true,
-      opacity: 0.5,
-      wireframe: true,
-      side: THREE.DoubleSide,
+    const { netQuality, rimRadius, netHeight } = this.config;
+
+    // Simulated cloth net, or a static cone on low-end devices
+    const simulated =
+      netQuality === "simulated" ||
+      (netQuality === "auto" && !isLowEndDevice());
+
+    this.net = new Net({
+      topRadius: rimRadius,
+      bottomRadius: rimRadius * 0.7,
+      height: netHeight,
+      simulated,
     });
 
-    // Create mesh
-    const netMesh = new THREE.Mesh(geometry, material);
-
-    // Position the net below the rim
-    netMesh.position.y = -this.config.netHeight / 2;
-
-    // Add to rim
-    this.rim.add(netMesh);
-
-    // Store reference
-    this.net = netMesh;
+    // Add to the group (not the rim, which is rotated) so it hangs straight down
+    this.group.add(this.net.mesh);
 
-    return netMesh;
+    return this.net;
   }
 
   createTriggerZone() {
@@ -259,6 +256,105 @@ export class Hoop {
     return triggerMesh;
   }
 
+  /**
+   * Switch the hoop to a new motion path (eases in from the current one)
+   * @param {Object} motion Motion config (see HoopMotion)
+   */
+  setMotion(motion) {
+    this.motion.setMotion(motion);
+  }
+
+  /**
+   * Move the visual group, trigger zone and body as one unit
+   * @param {number} delta Elapsed time in seconds
+   */
+  updateMotion(delta) {
+    if (!this.motion.isMoving()) return;
+
+    const offset = this.motion.update(delta);
+    const { position } = this.config;
+
+    this.group.position.set(
+      position.x + offset.x,
+      position.y + offset.y,
+      position.z + offset.z,
+    );
+    this.group.updateMatrixWorld();
+
+    // The kinematic body picks up its new transform on the next physics step
+    this.group.body.needUpdate = true;
+  }
+
+  /**
+   * Returns the world position of the rim centre
+   */
+  getRimPosition() {
+    return this.group.position.clone();
+  }
+
+  /**
+   * Returns the point a clean shot should drop through: the middle of the
+   * opening between the backboard face and the inside of the front rim
+   */
+  getAimPoint() {
+    const { rimRadius, rimTubeRadius, backboardDistFromRim } = this.config;
+    const front = rimRadius - rimTubeRadius; // Towards the shooter (+z)
+    return this.getRimPosition().add(
+      new THREE.Vector3(0, 0, (front - backboardDistFromRim) / 2),
+    );
+  }
+
+  /**
+   * The rim spheres and backboard as plain shapes where they are now, for
+   * flight predictions (see utils/ballistics predictFlight)
+   * @returns {Array<Object>}
+   */
+  getColliderShapes() {
+    const { position } = this.group;
+    const restitution = this.group.body.ammo.getRestitution();
+
+    return this.colliders.map(({ center, ...shape }) => ({
+      ...shape,
+      center: {
+        x: position.x + center.x,
+        y: position.y + center.y,
+        z: position.z + center.z,
+      },
+      restitution,
+    }));
+  }
+
+  /**
+   * Which part of the hoop a contact point on its body belongs to
+   * @param {{x: number, y: number, z: number}} point World position
+   * @returns {string} "rim" or "backboard"
+   */
+  getSurfaceAt(point) {
+    const { rimRadius, rimTubeRadius } = this.config;
+    const local = new THREE.Vector3(point.x, point.y, point.z).sub(
+      this.group.position,
+    );
+
+    // Distance from the point to the surface of the rim ring
+    const ring = Math.hypot(Math.hypot(local.x, local.z) - rimRadius, local.y);
+    const toRim = ring - rimTubeRadius;
+
+    // And to the surface of the backboard box
+    const { center, halfSize } = this.colliders.find(
+      ({ name }) => name === "backboard",
+    );
+    const outside = new THREE.Vector3(
+      Math.abs(local.x - center.x) - halfSize.x,
+      Math.abs(local.y - center.y) - halfSize.y,
+      Math.abs(local.z - center.z) - halfSize.z,
+    );
+    const toBackboard =
+      outside.clone().max(new THREE.Vector3()).length() +
+      Math.min(Math.max(outside.x, outside.y, outside.z), 0);
+
+    return toRim <= toBackboard ? "rim" : "backboard";
+  }
+
   /**
    * Check if a ball has passed through the hoop
    * @param {THREE.Object3D} ball The ball to check
@@ -281,9 +377,39 @@ export class Hoop {
 
   /**
    * Update the hoop
+   * @param {number} delta Elapsed time in seconds
+   * @param {Basketball} [basketball] Ball that can interact with the net
    */
-  update() {
-    // Any per-frame updates for the hoop
+  update(delta, basketball = null) {
+    // Move the whole assembly along its path first
+    this.updateMotion(delta);
+
+    if (!this.net) return;
+
+    if (basketball && basketball.mesh) {
+      // The net simulates in the hoop's local space
+      this.group.updateMatrixWorld();
+      const ballPosition = this.group.worldToLocal(basketball.getPosition());
+      const ballVelocity = basketball.getVelocity();
+
+      const contact = this.net.update(
+        delta,
+        ballPosition,
+        basketball.config.radius,
+        ballVelocity,
+      );
+
+      // The net briefly catches the ball as it drops through
+      if (contact > 0) {
+        const catchAmount = Math.min(
+          this.net.config.catchStrength * contact * delta,
+          0.5,
+        );
+        basketball.dampVelocity(catchAmount);
+      }
+    } else {
+      this.net.update(delta);
+    }
   }
 
   /**
@@ -292,8 +418,9 @@ export class Hoop {
   dispose() {
     // Clean up resources associated with the hoop
 
-    // Remove from scene
+    // Remove from scene and the physics world
     this.scene.remove(this.group);
+    this.physics.destroy(this.group);
 
     // Dispose of geometries and materials
     if (this.rim) {
@@ -307,8 +434,7 @@ export class Hoop {
     }
 
     if (this.net) {
-      if (this.net.geometry) this.net.geometry.dispose();
-      if (this.net.material) this.net.material.dispose();
+      this.net.dispose();
     }
 
     if (this.triggerZone) {
@@ -0,0 +1,122 @@
+import * as THREE from "three";
+
+/**
+ * Scripted motion paths for the hoop.
+ *
+ * A motion config looks like:
+ *   { type: "static" }
+ *   { type: "slide", amplitude: 1.2, period: 4 } // side to side (x)
+ *   { type: "bob", amplitude: 0.3, period: 3 } // up and down (y)
+ *   { type: "slide-bob", amplitude: 1, bobAmplitude: 0.25, period: 4 }
+ *   { type: "spline", points: [{ x, y, z }, ...], period: 6 } // closed loop
+ *
+ * Offsets are relative to the hoop's base position. Switching motion eases
+ * from the old path to the new one instead of snapping.
+ */
+export class HoopMotion {
+  constructor(config = {}) {
+    this.config = null;
+    this.time = 0; // Seconds along the current path
+    this.curve = null; // Spline for "spline" motion
+
+    // Easing between paths
+    this.blendDuration = 1; // Seconds
+    this.blendTime = this.blendDuration;
+    this.blendFrom = new THREE.Vector3();
+    this.offset = new THREE.Vector3();
+    this.tmpTarget = new THREE.Vector3();
+
+    this.setMotion(config);
+  }
+
+  /**
+   * Switch to a new motion path
+   * @param {Object} config Motion config (see class docs)
+   */
+  setMotion(config = {}) {
+    // Ease from wherever the hoop is right now
+    this.blendFrom.copy(this.offset);
+    this.blendTime = this.config ? 0 : this.blendDuration;
+
+    this.config = {
+      type: config.type || "static",
+      amplitude: config.amplitude || 1, // Metres
+      bobAmplitude: config.bobAmplitude || 0.25, // Metres, for "slide-bob"
+      period: config.period || 4, // Seconds per full cycle
+      points: config.points || [],
+    };
+    this.time = 0;
+
+    this.curve =
+      this.config.type === "spline" && this.config.points.length > 1
+        ? new THREE.CatmullRomCurve3(
+            this.config.points.map((p) => new THREE.Vector3(p.x, p.y, p.z)),
+            true, // Closed loop
+          )
+        : null;
+  }
+
+  /**
+   * Whether the hoop moves at all
+   * @returns {boolean}
+   */
+  isMoving() {
+    return this.config.type !== "static" || this.blendTime < this.blendDuration;
+  }
+
+  /**
+   * Advance along the path
+   * @param {number} delta Elapsed time in seconds
+   * @returns {THREE.Vector3} Offset from the hoop's base position
+   */
+  update(delta) {
+    this.time += delta;
+    this.getPathOffset(this.time, this.tmpTarget);
+
+    if (this.blendTime < this.blendDuration) {
+      this.blendTime = Math.min(this.blendTime + delta, this.blendDuration);
+      const t = THREE.MathUtils.smoothstep(
+        this.blendTime / this.blendDuration,
+        0,
+        1,
+      );
+      this.offset.lerpVectors(this.blendFrom, this.tmpTarget, t);
+    } else {
+      this.offset.copy(this.tmpTarget);
+    }
+
+    return this.offset;
+  }
+
+  /**
+   * Offset on the current path at a given time
+   * @param {number} time Seconds along the path
+   * @param {THREE.Vector3} target Vector to write the offset into
+   * @returns {THREE.Vector3}
+   */
+  getPathOffset(time, target) {
+    const { type, amplitude, bobAmplitude, period } = this.config;
+    const phase = (time / period) * Math.PI * 2;
+
+    switch (type) {
+      case "slide":
+        return target.set(Math.sin(phase) * amplitude, 0, 0);
+      case "bob":
+        return target.set(0, Math.sin(phase) * amplitude, 0);
+      case "slide-bob":
+        // Bob twice per slide so the hoop traces a figure of eight
+        return target.set(
+          Math.sin(phase) * amplitude,
+          Math.sin(phase * 2) * bobAmplitude,
+          0,
+        );
+      case "spline":
+        if (this.curve) {
+          return this.curve.getPointAt((time / period) % 1, target);
+        }
+        return target.set(0, 0, 0);
+      default:
+        return target.set(0, 0, 0);
+    }
+  }
+}
@@ -0,0 +1,169 @@
+import { GameMode } from "./GameMode.js";
+import { TurnManager } from "./TurnManager.js";
+
+const WORD = "HORSE";
+
+/**
+ * H-O-R-S-E for 2-4 players on one device (the last seats may be computer
+ * opponents).
+ *
+ * The setter shoots from a spot; if they make it, every other player must
+ * match it from the same spot or earn a letter. The setter keeps setting
+ * until they miss, then the turn to set passes on. Spell H-O-R-S-E and you
+ * are out; the last player standing wins.
+ *
+ * The setter picks the spot before shooting (see chooseSpot). Until they
+ * do, the next of the level's spots along is offered.
+ */
+export class HorseMode extends GameMode {
+  constructor(options = {}) {
+    super(options);
+    this.name = "horse";
+    this.label = "H-O-R-S-E";
+
+    // Spots to set from: [{ name, position: { x, y, z } }]
+    this.spots = options.spots || [];
+    this.turns = new TurnManager(options.players || 2, {
+      computers: options.computers, // AIOpponents filling the last seats
+    });
+
+    this.resetRound();
+  }
+
+  start() {
+    super.start();
+    this.turns.reset();
+    this.resetRound();
+  }
+
+  resetRound() {
+    this.setterIndex = 0; // Player setting the shot
+    this.spotIndex = 0; // Spot being set (or matched) from
+    this.isSpotChosen = false; // True once the setter has picked the spot
+    this.isShotSet = false; // True once the setter has made their shot
+    this.challengers = []; // Players still to match the set shot, in order
+    this.lastMade = false;
+  }
+
+  /**
+   * The spot the current shot is taken from
+   * @returns {{name: string, position: {x: number, y: number, z: number}}|null}
+   */
+  getCurrentSpot() {
+    if (this.spots.length === 0) return null;
+    return this.spots[this.spotIndex % this.spots.length];
+  }
+
+  getSpawnPosition() {
+    const spot = this.getCurrentSpot();
+    return spot ? { ...spot.position } : null;
+  }
+
+  canChooseSpot() {
+    return !this.isShotSet && !this.isOver() && this.spots.length > 1;
+  }
+
+  chooseSpot(index) {
+    if (!this.canChooseSpot() || !this.spots[index]) return false;
+
+    this.spotIndex = index;
+    this.isSpotChosen = true;
+    return true;
+  }
+
+  getCurrentPlayer() {
+    return this.turns.getCurrentPlayer();
+  }
+
+  getPlayers() {
+    return this.turns.players;
+  }
+
+  canShoot() {
+    return super.canShoot() && !this.isOver();
+  }
+
+  recordResult(made) {
+    super.recordResult(made);
+    this.lastMade = made;
+
+    // Missing a set shot earns a letter
+    if (this.isShotSet && !made) {
+      const player = this.turns.getCurrentPlayer();
+      player.letters = WORD.slice(0, player.letters.length + 1);
+      if (player.letters === WORD) {
+        player.isOut = true;
+      }
+    }
+  }
+
+  advanceTurn() {
+    if (!this.isShotSet) {
+      if (this.lastMade) {
+        // The setter made it: everyone else has to match
+        this.isShotSet = true;
+        this.challengers = this.turns.getOtherActiveIndices(this.setterIndex);
+      } else {
+        // Missed: the next player sets a new shot
+        this.setterIndex = this.turns.getNextActiveIndex(this.setterIndex);
+        this.offerNextSpot();
+      }
+    } else {
+      // The current challenger has had their go
+      this.challengers.shift();
+    }
+
+    // Everyone has answered: the setter sets again
+    if (this.isShotSet && this.challengers.length === 0) {
+      this.isShotSet = false;
+      this.offerNextSpot();
+    }
+
+    this.turns.setCurrent(
+      this.isShotSet ? this.challengers[0] : this.setterIndex,
+    );
+    this.lastMade = false;
+  }
+
+  // A new shot is about to be set: offer the next spot until one is picked
+  offerNextSpot() {
+    this.spotIndex = (this.spotIndex + 1) % Math.max(this.spots.length, 1);
+    this.isSpotChosen = false;
+  }
+
+  isOver() {
+    return this.turns.getActivePlayers().length <= 1;
+  }
+
+  getSummary() {
+    return {
+      ...super.getSummary(),
+      players: this.turns.players.map((player) => ({
+        name: player.name,
+        score: player.score,
+        letters: player.letters,
+        isOut: player.isOut,
+      })),
+    };
+  }
+
+  getResultTitle() {
+    const [winner] = this.turns.getActivePlayers();
+    return winner ? `${winner.name} Wins!` : "Game Over";
+  }
+
+  /**
+   * What the current player has to do, e.g. "Player 2: match from Left wing"
+   * @returns {string}
+   */
+  getTurnText() {
+    const player = this.turns.getCurrentPlayer();
+    const spot = this.getCurrentSpot();
+    const action = this.isShotSet ? "match the shot" : "set a shot";
+    return `${player.name}: ${action}${spot ? ` from ${spot.name}` : ""}`;
+  }
+
+  getHudHtml() {
+    return `<div>${this.getTurnText()}</div>`;
+  }
+}
@@ -8,122 +8,349 @@ export class InputManager {
     this.strength = this.options.strength || 10;
     this.showTrajectory = this.options.showTrajectory || false;
     this.onSwipe = this.options.onSwipe || function () {};
+    this.onCancel = this.options.onCancel || function () {}; // Swipe abandoned (preview hidden)
 
     // Swipe handling properties
     this.startPoint = new THREE.Vector2();
     this.endPoint = new THREE.Vector2();
     this.isSwiping = false;
+    this.pointerId = null; // Pointer driving the current swipe
+    this.primaryOnly = this.options.primaryOnly !== false; // Ignore extra fingers / non-primary pointers
     this.minSwipeDistance = 20; // Minimum distance (in pixels) to register as a swipe
 
+    // Swipe sampling for velocity-based power
+    this.samples = []; // Pointer positions with timestamps: { x, y, t }
+    this.swipeStartTime = 0; // Timestamp of the first sample
+    this.maxSamples = 256; // Keep only the most recent samples
+    this.velocityWindow = 80; // Time window (ms) used to measure release velocity
+    this.powerFactor = this.options.powerFactor || 0.8; // Power per px/ms of release velocity
+    this.minPower = 0.5; // Power multiplier for a very slow drag
+    this.maxPower = 1.25; // Power multiplier for a fast flick
+    this.lastSwipe = null; // Details of the last released swipe
+
+    // Spin derived from the shape of the swipe (rad/s)
+    this.backspin = this.options.backspin || 12; // Backspin of a straight swipe
+    this.sidespinFactor = this.options.sidespinFactor || 60; // Sidespin per unit of curvature
+    this.maxSidespin = 20; // Clamp for very hooked swipes
+
     // Trajectory line for shot preview
     this.trajectoryLine = null;
-    this.trajectoryPoints = 20; // Number of points in the trajectory line
+    this.trajectoryPoints = 240; // Most points the line can draw (4 s of 60 Hz steps)
 
     if (this.showTrajectory) {
       this.createTrajectoryLine();
     }
 
     // Bind methods
-    this.handleTouchStart = this.handleTouchStart.bind(this);
-    this.handleTouchMove = this.handleTouchMove.bind(this);
-    this.handleTouchEnd = this.handleTouchEnd.bind(this);
-    this.handleMouseDown = this.handleMouseDown.bind(this);
-    this.handleMouseMove = this.handleMouseMove.bind(this);
-    this.handleMouseUp = this.handleMouseUp.bind(this);
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.handlePointerCancel = this.handlePointerCancel.bind(this);
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    this.cancelSwipe = this.cancelSwipe.bind(this);
 
     // Add event listeners
     this.setupEventListeners();
   }
 
   setupEventListeners() {
-    // Touch events for mobile
-    this.element.addEventListener("touchstart", this.handleTouchStart, false);
-    this.element.addEventListener("touchmove", this.handleTouchMove, false);
-    this.element.addEventListener("touchend", this.handleTouchEnd, false);
+    this.addElementListeners();
 
-    // Mouse events for desktop
-    this.element.addEventListener("mousedown", this.handleMouseDown, false);
-    this.element.addEventListener("mousemove", this.handleMouseMove, false);
-    this.element.addEventListener("mouseup", this.handleMouseUp, false);
+    // Leaving the page mid-swipe abandons it
+    window.addEventListener("blur", this.cancelSwipe);
+    document.addEventListener("visibilitychange", this.handleVisibilityChange);
   }
 
-  handleTouchStart(event) {
-    event.preventDefault();
-    if (event.touches.length === 1) {
-      this.startPoint.set(event.touches[0].clientX, event.touches[0].clientY);
-      this.isSwiping = true;
-    }
+  addElementListeners() {
+    // Pointer events cover mouse, touch and pen alike
+    this.element.addEventListener("pointerdown", this.handlePointerDown);
+    this.element.addEventListener("pointermove", this.handlePointerMove);
+    this.element.addEventListener("pointerup", this.handlePointerUp);
+    this.element.addEventListener("pointercancel", this.handlePointerCancel);
+    this.element.addEventListener(
+      "lostpointercapture",
+      this.handlePointerCancel,
+    );
   }
 
-  handleTouchMove(event) {
-    if (!this.isSwiping) return;
+  removeElementListeners() {
+    this.element.removeEventListener("pointerdown", this.handlePointerDown);
+    this.element.removeEventListener("pointermove", this.handlePointerMove);
+    this.element.removeEventListener("pointerup", this.handlePointerUp);
+    this.element.removeEventListener("pointercancel", this.handlePointerCancel);
+    this.element.removeEventListener(
+      "lostpointercapture",
+      this.handlePointerCancel,
+    );
+  }
 
-    if (event.touches.length === 1) {
-      this.endPoint.set(event.touches[0].clientX, event.touches[0].clientY);
+  /**
+   * Take swipes from a different element (e.g. a replacement canvas)
+   * @param {EventTarget} element
+   */
+  setElement(element) {
+    this.cancelSwipe();
+    this.removeElementListeners();
+    this.element = element;
+    this.addElementListeners();
+  }
 
-      // Calculate direction and force for preview
-      const force = this.calculateForce(this.startPoint, this.endPoint);
+  handlePointerDown(event) {
+    // One swipe at a time; optionally only from the primary pointer
+    if (this.isSwiping) return;
+    if (this.primaryOnly && !event.isPrimary) return;
+    if (event.pointerType === "mouse" && event.button !== 0) return;
 
-      // Call onSwipe with preview flag
-      if (this.onSwipe) {
-        this.onSwipe(force, true);
+    event.preventDefault();
+    this.pointerId = event.pointerId;
+
+    // Keep receiving this pointer's events even outside the element, so a
+    // release anywhere ends the swipe
+    if (this.element.setPointerCapture) {
+      try {
+        this.element.setPointerCapture(event.pointerId);
+      } catch (error) {
+        console.error("Could not capture pointer:", error);
       }
     }
+
+    this.beginSwipe(event.clientX, event.clientY, event.timeStamp);
   }
 
-  handleTouchEnd() {
-    if (!this.isSwiping) return;
+  handlePointerMove(event) {
+    if (!this.isSwiping || event.pointerId !== this.pointerId) return;
 
-    this.isSwiping = false;
+    this.endPoint.set(event.clientX, event.clientY);
+    this.addSample(event.clientX, event.clientY, event.timeStamp);
 
-    // Calculate direction and force for the shot
-    const force = this.calculateForce(this.startPoint, this.endPoint);
+    // Calculate direction and force for preview
+    const force = this.calculateForce(
+      this.startPoint,
+      this.endPoint,
+      this.getSwipePower(),
+    );
 
-    // Calculate distance to check if it's a valid swipe
-    const distance = this.startPoint.distanceTo(this.endPoint);
+    // Call onSwipe with preview flag
+    if (this.onSwipe) {
+      this.onSwipe(force, true);
+    }
+  }
 
-    if (distance > this.minSwipeDistance && this.onSwipe) {
-      this.onSwipe(force, false);
+  handlePointerUp(event) {
+    if (!this.isSwiping || event.pointerId !== this.pointerId) return;
+
+    this.endPoint.set(event.clientX, event.clientY);
+    this.addSample(event.clientX, event.clientY, event.timeStamp);
+
+    this.releasePointer();
+    this.endSwipe(event.timeStamp);
+  }
+
+  // The browser took the pointer away (scroll gesture, capture lost, ...)
+  handlePointerCancel(event) {
+    if (event.pointerId === this.pointerId) {
+      this.cancelSwipe();
     }
   }
 
-  handleMouseDown(event) {
-    this.startPoint.set(event.clientX, event.clientY);
-    this.isSwiping = true;
+  handleVisibilityChange() {
+    if (document.visibilityState === "hidden") {
+      this.cancelSwipe();
+    }
   }
 
-  handleMouseMove(event) {
+  /**
+   * Abandon the swipe in progress without shooting and hide its preview
+   */
+  cancelSwipe() {
     if (!this.isSwiping) return;
 
-    this.endPoint.set(event.clientX, event.clientY);
+    this.isSwiping = false;
+    this.releasePointer();
+    this.samples = [];
+    this.hideTrajectoryLine();
+    this.onCancel();
+  }
 
-    // Calculate direction and force for preview
-    const force = this.calculateForce(this.startPoint, this.endPoint);
+  releasePointer() {
+    const pointerId = this.pointerId;
+    this.pointerId = null;
 
-    // Call onSwipe with preview flag
-    if (this.onSwipe) {
-      this.onSwipe(force, true);
+    if (
+      pointerId !== null &&
+      this.element.hasPointerCapture &&
+      this.element.hasPointerCapture(pointerId)
+    ) {
+      this.element.releasePointerCapture(pointerId);
     }
   }
 
-  handleMouseUp(event) {
-    if (!this.isSwiping) return;
+  beginSwipe(x, y, time) {
+    this.startPoint.set(x, y);
+    this.endPoint.set(x, y);
+    this.samples = [];
+    this.addSample(x, y, time);
+    this.swipeStartTime = this.samples[0].t;
+    this.isSwiping = true;
+  }
 
+  endSwipe(time) {
     this.isSwiping = false;
-    this.endPoint.set(event.clientX, event.clientY);
+
+    // Measure the power before anything else touches the samples
+    const power = this.getSwipePower(time);
 
     // Calculate direction and force for the shot
-    const force = this.calculateForce(this.startPoint, this.endPoint);
+    const force = this.calculateForce(this.startPoint, this.endPoint, power);
+
+    // Spin from how the path bends between start and release
+    const curvature = this.calculateCurvature();
+    const spin = this.calculateSpin(curvature);
 
     // Calculate distance to check if it's a valid swipe
     const distance = this.startPoint.distanceTo(this.endPoint);
 
+    // Keep the details of the swipe for anything that wants to inspect it
+    this.lastSwipe = {
+      samples: this.samples.slice(),
+      duration: this.getSwipeDuration(),
+      velocity: this.getReleaseVelocity(time),
+      power,
+      curvature,
+      spin: spin.clone(),
+    };
+
     if (distance > this.minSwipeDistance && this.onSwipe) {
-      this.onSwipe(force, false);
+      this.onSwipe(force, false, spin);
+    }
+  }
+
+  /**
+   * Record a pointer position during the swipe
+   * @param {number} x Screen x in pixels
+   * @param {number} y Screen y in pixels
+   * @param {number} [time] Event timestamp in milliseconds
+   */
+  addSample(x, y, time) {
+    const t = typeof time === "number" ? time : performance.now();
+    this.samples.push({ x, y, t });
+
+    if (this.samples.length > this.maxSamples) {
+      this.samples.shift();
+    }
+  }
+
+  /**
+   * Time from the start of the swipe to the last sample in milliseconds
+   * @returns {number}
+   */
+  getSwipeDuration() {
+    if (this.samples.length < 2) return 0;
+    return this.samples[this.samples.length - 1].t - this.swipeStartTime;
+  }
+
+  /**
+   * Pointer speed (px/ms) over the last few milliseconds of the swipe
+   * (velocityMagnitude = swipeLength / swipeDuration, measured at release).
+   * @param {number} [now] Release time; defaults to the last sample time
+   * @returns {number}
+   */
+  getReleaseVelocity(now) {
+    if (this.samples.length < 2) return 0;
+
+    const last = this.samples[this.samples.length - 1];
+    const releaseTime =
+      typeof now === "number" ? Math.max(now, last.t) : last.t;
+
+    // Find the oldest sample still inside the velocity window
+    let first = last;
+    for (let i = this.samples.length - 2; i >= 0; i--) {
+      if (releaseTime - this.samples[i].t > this.velocityWindow) break;
+      first = this.samples[i];
+    }
+
+    // Sparse events: measure from the previous sample instead. A pause
+    // before release stretches the elapsed time and weakens the shot.
+    if (first === last) {
+      first = this.samples[this.samples.length - 2];
+    }
+
+    const elapsed = releaseTime - first.t;
+    if (elapsed <= 0) return 0;
+
+    const distance = Math.hypot(last.x - first.x, last.y - first.y);
+    return distance / elapsed;
+  }
+
+  /**
+   * Power multiplier for the current swipe based on its release velocity
+   * @param {number} [now] Release time in milliseconds
+   * @returns {number}
+   */
+  getSwipePower(now) {
+    const velocity = this.getReleaseVelocity(now);
+    return THREE.MathUtils.clamp(
+      velocity * this.powerFactor,
+      this.minPower,
+      this.maxPower,
+    );
+  }
+
+  /**
+   * Signed curvature of the swipe path: the largest sideways deviation of
+   * the samples from the straight start-to-end chord, divided by the chord
+   * length. Positive when the path bows to the right of the direction of
+   * travel (screen space), negative when it bows to the left.
+   * @returns {number}
+   */
+  calculateCurvature() {
+    if (this.samples.length < 3) return 0;
+
+    const start = this.samples[0];
+    const end = this.samples[this.samples.length - 1];
+    const chordX = end.x - start.x;
+    const chordY = end.y - start.y;
+    const chordLength = Math.hypot(chordX, chordY);
+    if (chordLength < this.minSwipeDistance) return 0;
+
+    // Largest signed perpendicular distance from the chord
+    let bow = 0;
+    for (let i = 1; i < this.samples.length - 1; i++) {
+      const sample = this.samples[i];
+      const offset =
+        (chordX * (sample.y - start.y) - chordY * (sample.x - start.x)) /
+        chordLength;
+      if (Math.abs(offset) > Math.abs(bow)) {
+        bow = offset;
+      }
     }
+
+    return bow / chordLength;
+  }
+
+  /**
+   * Convert swipe curvature into an angular velocity for the ball.
+   * A straight swipe gives pure backspin; a curved swipe adds sidespin so
+   * the ball bends towards the side the path bowed out to, and a little
+   * extra backspin from the wrist snap.
+   * @param {number} curvature Signed curvature from calculateCurvature()
+   * @returns {THREE.Vector3} Angular velocity in rad/s (world space)
+   */
+  calculateSpin(curvature) {
+    // Backspin spins about +X for a shot travelling towards -Z
+    const backspin = this.backspin * (1 + Math.abs(curvature));
+
+    // Negative Y spin bends a -Z shot towards +X (screen right)
+    const sidespin = THREE.MathUtils.clamp(
+      -curvature * this.sidespinFactor,
+      -this.maxSidespin,
+      this.maxSidespin,
+    );
+
+    return new THREE.Vector3(backspin, sidespin, 0);
   }
 
-  calculateForce(start, end) {
+  calculateForce(start, end, power = 1) {
     // Calculate direction vector
     const direction = new THREE.Vector3(
       (start.x - end.x) * 0.01, // X force (left/right)
@@ -143,6 +370,9 @@ export class InputManager {
     direction.y = THREE.MathUtils.clamp(direction.y, 0, this.strength * 2); // More upward force allowed
     direction.z = THREE.MathUtils.clamp(direction.z, -this.strength * 2, 0);
 
+    // Faster swipes shoot harder
+    direction.multiplyScalar(power);
+
     return direction;
   }
 
@@ -167,56 +397,25 @@ export class InputManager {
     this.trajectoryLine.visible = false;
   }
 
-  updateTrajectoryLine(startPosition, force) {
+  /**
+   * Show a predicted flight (see Simulation.predictShot)
+   * @param {Array<{x: number, y: number, z: number}>} points Path to draw, in order
+   */
+  updateTrajectoryLine(points) {
     if (!this.trajectoryLine) return;
 
     // Make trajectory visible
     this.trajectoryLine.visible = true;
 
-    // Calculate points along the trajectory
-    const positions = [];
-    const gravity = new THREE.Vector3(0, -9.8, 0); // Gravity vector
-    const velocity = force.clone(); // Initial velocity
-    const position = new THREE.Vector3(
-      startPosition.x,
-      startPosition.y,
-      startPosition.z,
-    );
-
-    // Time step for simulation
-    const timeStep = 0.1;
-
-    // Simulate trajectory points
-    for (let i = 0; i < this.trajectoryPoints; i++) {
-      // Add point to positions array
-      positions.push(position.x, position.y, position.z);
-
-      // Update position using physics (simplified)
-      position.x += velocity.x * timeStep;
-      position.y += velocity.y * timeStep;
-      position.z += velocity.z * timeStep;
-
-      // Update velocity with gravity
-      velocity.x += gravity.x * timeStep;
-      velocity.y += gravity.y * timeStep;
-      velocity.z += gravity.z * timeStep;
-
-      // Stop if trajectory goes below ground
-      if (position.y < 0) break;
-    }
-
-    // Fill remaining points if any
-    while (positions.length < this.trajectoryPoints * 3) {
-      positions.push(0, 0, 0);
-    }
-
-    // Update trajectory line geometry
+    // Copy as many points as the line holds and draw only those
+    const count = Math.min(points.length, this.trajectoryPoints);
     const positionAttribute =
       this.trajectoryLine.geometry.getAttribute("position");
-    for (let i = 0; i < positions.length; i++) {
-      positionAttribute.array[i] = positions[i];
+    for (let i = 0; i < count; i++) {
+      positionAttribute.setXYZ(i, points[i].x, points[i].y, points[i].z);
     }
     positionAttribute.needsUpdate = true;
+    this.trajectoryLine.geometry.setDrawRange(0, count);
 
     // Update line distances for proper dashing
     this.trajectoryLine.computeLineDistances();
@@ -234,12 +433,12 @@ export class InputManager {
 
   dispose() {
     // Remove event listeners
-    this.element.removeEventListener("touchstart", this.handleTouchStart);
-    this.element.removeEventListener("touchmove", this.handleTouchMove);
-    this.element.removeEventListener("touchend", this.handleTouchEnd);
-    this.element.removeEventListener("mousedown", this.handleMouseDown);
-    this.element.removeEventListener("mousemove", this.handleMouseMove);
-    this.element.removeEventListener("mouseup", this.handleMouseUp);
+    this.removeElementListeners();
+    window.removeEventListener("blur", this.cancelSwipe);
+    document.removeEventListener(
+      "visibilitychange",
+      this.handleVisibilityChange,
+    );
 
     // Dispose trajectory line if it exists
     if (this.trajectoryLine) {
@@ -0,0 +1,117 @@
+/**
+ * Court layout: where the hoop stands, where the ball spawns, how far the
+ * ball may roll, gravity and the camera. Every subsystem reads its
+ * positions from here, so a new court is just a JSON file in
+ * public/levels/ (open it with ?level=<name>).
+ *
+ * A level file only needs the values it changes; everything else falls
+ * back to DEFAULT_LEVEL.
+ */
+export const DEFAULT_LEVEL = {
+  id: "default", // File name in public/levels/ (set when loaded)
+  name: "Default Court",
+  gravity: { x: 0, y: -12, z: 0 }, // Stronger than real gravity for snappier bounces
+  hoop: {
+    position: { x: 0, y: 3.05, z: -5 },
+    motion: { type: "static" }, // See HoopMotion for moving hoops
+    // Any other Hoop option (rimRadius, backboardWidth, ...) may be set here
+  },
+  // Hoop motion as an arcade round gets harder: every `makesPerTier` makes
+  // the hoop switches to the next motion in the list. Levels opt in by
+  // listing motions; with none the hoop keeps `hoop.motion` all round.
+  difficulty: {
+    makesPerTier: 5,
+    hoopMotions: [],
+  },
+  ball: {
+    spawn: { x: 0, y: 1.5, z: 2 },
+    // Any other Basketball option (radius, mass, ...) may be set here
+  },
+  // Shooting spots for around-the-world, in order. Offsets are on the floor
+  // plane relative to the rim (-z is behind the hoop); the ball keeps the
+  // spawn height.
+  spots: [
+    { name: "Left corner", x: -4.5, z: 0.8 },
+    { name: "Left wing", x: -3.4, z: 3.6 },
+    { name: "Free-throw line", x: 0, z: 4.2 },
+    { name: "Top of the key", x: 0, z: 6 },
+    { name: "Right wing", x: 3.4, z: 3.6 },
+    { name: "Right corner", x: 4.5, z: 0.8 },
+  ],
+  bounds: {
+    x: 10, // Ball is out past |x| > 10
+    z: 10, // Ball is out past |z| > 10
+    minY: -5, // Ball fell through the floor
+  },
+  ground: {
+    width: 20,
+    height: 20,
+    color: 0x2e8b57,
+  },
+  camera: {
+    fov: 75,
+    position: { x: 0, y: 2.5, z: 6 },
+    lookAt: { x: 0, y: 2, z: -2 }, // Slightly up towards the hoop
+  },
+};
+
+/**
+ * Build a complete level from a partial definition
+ * @param {Object} [overrides] Values that differ from DEFAULT_LEVEL
+ * @returns {Object} The level
+ */
+export function createLevel(overrides = {}) {
+  return mergeDeep(DEFAULT_LEVEL, overrides);
+}
+
+/**
+ * Load a level from a JSON file
+ * @param {string} url URL of the level JSON
+ * @returns {Promise<Object>} The level
+ */
+export async function loadLevel(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not load level ${url}: ${response.status}`);
+  }
+  return createLevel(await response.json());
+}
+
+/**
+ * Load the level named by the ?level= query parameter, falling back to the
+ * default court when there is none or it fails to load
+ * @param {string} search The page's query string (window.location.search)
+ * @returns {Promise<Object>} The level
+ */
+export async function loadLevelFromQuery(search) {
+  const name = new URLSearchParams(search).get("level");
+  if (!name) return createLevel();
+
+  try {
+    const level = await loadLevel(`/levels/${encodeURIComponent(name)}.json`);
+    return { ...level, id: name };
+  } catch (error) {
+    console.error("Error loading level, using the default court:", error);
+    return createLevel();
+  }
+}
+
+// Recursively merge plain objects; arrays and other values are replaced
+function mergeDeep(base, overrides) {
+  const result = { ...base };
+
+  Object.keys(overrides).forEach((key) => {
+    const value = overrides[key];
+    if (isPlainObject(value) && isPlainObject(base[key])) {
+      result[key] = mergeDeep(base[key], value);
+    } else {
+      result[key] = value;
+    }
+  });
+
+  return result;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
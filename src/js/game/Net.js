@@ -0,0 +1,312 @@
+import * as THREE from "three";
+
+/**
+ * Basketball net hung from the rim.
+ *
+ * The simulated net is a mass-spring (Verlet) mesh of string segments woven
+ * in a diamond pattern. The top row is pinned to the rim; everything else
+ * swings under gravity, gets pushed aside by the ball and drags on the ball
+ * while it passes through. The static net is a fixed wireframe used on
+ * low-end devices.
+ *
+ * Positions are in the hoop group's local space (rim centre at the origin).
+ */
+export class Net {
+  constructor(options = {}) {
+    // Configuration with defaults
+    this.config = {
+      topRadius: options.topRadius || 0.4, // Matches the rim radius
+      bottomRadius: options.bottomRadius || 0.28, // Narrower opening at the bottom
+      height: options.height || 0.4, // 40cm net height
+      columns: options.columns || 12, // Strings around the rim
+      rows: options.rows || 6, // Knots from top to bottom
+      simulated: options.simulated !== false,
+      gravity: options.gravity || -9.8,
+      damping: options.damping || 0.97, // Velocity kept per step
+      iterations: options.iterations || 6, // Constraint relaxation passes
+      stiffness: options.stiffness || 0.9, // <1 lets the strings stretch a little
+      ballFriction: options.ballFriction || 0.5, // How much the ball drags the strings along
+      catchStrength: options.catchStrength || 8, // Ball slow-down per second at full contact
+      color: options.color || 0xffffff,
+    };
+
+    // Properties
+    this.mesh = null;
+    this.positions = null; // Current particle positions (x, y, z per particle)
+    this.previous = null; // Positions on the previous step (Verlet)
+    this.rest = null; // Initial positions, used for the pinned top row
+    this.pinned = null; // 1 for particles attached to the rim
+    this.constraints = []; // [indexA, indexB, restLength]
+    this.tmpBall = new THREE.Vector3();
+
+    if (this.config.simulated) {
+      this.createSimulatedNet();
+    } else {
+      this.createStaticNet();
+    }
+  }
+
+  createStaticNet() {
+    const { topRadius, bottomRadius, height, columns, color } = this.config;
+
+    // Open truncated cone hanging below the rim
+    const geometry = new THREE.CylinderGeometry(
+      topRadius,
+      bottomRadius,
+      height,
+      columns,
+      1,
+      true, // Open ended
+    );
+
+    // Create material - white, transparent mesh
+    const material = new THREE.MeshBasicMaterial({
+      color,
+      transparent: true,
+      opacity: 0.5,
+      wireframe: true,
+      side: THREE.DoubleSide,
+    });
+
+    this.mesh = new THREE.Mesh(geometry, material);
+    this.mesh.position.y = -height / 2;
+
+    return this.mesh;
+  }
+
+  createSimulatedNet() {
+    const { topRadius, bottomRadius, height, columns, rows, color } =
+      this.config;
+    const count = (rows + 1) * columns;
+
+    this.positions = new Float32Array(count * 3);
+    this.previous = new Float32Array(count * 3);
+    this.rest = new Float32Array(count * 3);
+    this.pinned = new Uint8Array(count);
+
+    // Lay out the knots: each row is offset by half a column to form diamonds
+    for (let row = 0; row <= rows; row++) {
+      const t = row / rows;
+      const radius = THREE.MathUtils.lerp(topRadius, bottomRadius, t);
+      const y = -height * t;
+
+      for (let column = 0; column < columns; column++) {
+        const angle = ((column + (row % 2) * 0.5) / columns) * Math.PI * 2;
+        const index = this.getIndex(row, column);
+
+        this.rest[index * 3] = radius * Math.cos(angle);
+        this.rest[index * 3 + 1] = y;
+        this.rest[index * 3 + 2] = radius * Math.sin(angle);
+        this.pinned[index] = row === 0 ? 1 : 0;
+      }
+    }
+    this.positions.set(this.rest);
+    this.previous.set(this.rest);
+
+    // Diamond weave: each knot ties to the two nearest knots on the next row
+    for (let row = 0; row < rows; row++) {
+      for (let column = 0; column < columns; column++) {
+        const neighbour = row % 2 === 0 ? column - 1 : column + 1;
+        this.addConstraint(
+          this.getIndex(row, column),
+          this.getIndex(row + 1, column),
+        );
+        this.addConstraint(
+          this.getIndex(row, column),
+          this.getIndex(row + 1, neighbour),
+        );
+      }
+    }
+
+    // Bottom hem keeps the opening from collapsing
+    for (let column = 0; column < columns; column++) {
+      this.addConstraint(
+        this.getIndex(rows, column),
+        this.getIndex(rows, column + 1),
+      );
+    }
+
+    // Draw every string as a line segment between its two knots
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute(
+      "position",
+      new THREE.BufferAttribute(this.positions, 3),
+    );
+    geometry.setIndex(
+      this.constraints.flatMap(([indexA, indexB]) => [indexA, indexB]),
+    );
+
+    const material = new THREE.LineBasicMaterial({
+      color,
+      transparent: true,
+      opacity: 0.8,
+    });
+
+    this.mesh = new THREE.LineSegments(geometry, material);
+    this.mesh.frustumCulled = false; // Bounds change every frame
+
+    return this.mesh;
+  }
+
+  getIndex(row, column) {
+    const { columns } = this.config;
+    return row * columns + ((column + columns) % columns);
+  }
+
+  addConstraint(indexA, indexB) {
+    const dx = this.rest[indexB * 3] - this.rest[indexA * 3];
+    const dy = this.rest[indexB * 3 + 1] - this.rest[indexA * 3 + 1];
+    const dz = this.rest[indexB * 3 + 2] - this.rest[indexA * 3 + 2];
+    this.constraints.push([indexA, indexB, Math.hypot(dx, dy, dz)]);
+  }
+
+  /**
+   * Step the net simulation
+   * @param {number} delta Elapsed time in seconds
+   * @param {THREE.Vector3} [ballPosition] Ball centre in hoop-local space
+   * @param {number} [ballRadius] Ball radius
+   * @param {THREE.Vector3} [ballVelocity] Ball velocity
+   * @returns {number} Fraction of knots touching the ball (0-1)
+   */
+  update(delta, ballPosition = null, ballRadius = 0, ballVelocity = null) {
+    if (!this.config.simulated || delta <= 0) return 0;
+
+    // Large frame gaps would make the strings explode
+    const dt = Math.min(delta, 1 / 30);
+    const { gravity, damping, iterations, ballFriction } = this.config;
+    const count = this.pinned.length;
+
+    // Verlet integration
+    for (let i = 0; i < count; i++) {
+      if (this.pinned[i]) continue;
+
+      for (let axis = 0; axis < 3; axis++) {
+        const k = i * 3 + axis;
+        const velocity = (this.positions[k] - this.previous[k]) * damping;
+        this.previous[k] = this.positions[k];
+        this.positions[k] += velocity;
+      }
+      this.positions[i * 3 + 1] += gravity * dt * dt;
+    }
+
+    // Only check the ball when it is anywhere near the net
+    const ballNearby =
+      ballPosition &&
+      ballPosition.y < ballRadius + 0.1 &&
+      ballPosition.y > -this.config.height - ballRadius - 0.1 &&
+      Math.hypot(ballPosition.x, ballPosition.z) <
+        this.config.topRadius + ballRadius;
+
+    let contacts = 0;
+    for (let iteration = 0; iteration < iterations; iteration++) {
+      this.satisfyConstraints();
+
+      if (ballNearby) {
+        contacts = this.collideWithBall(ballPosition, ballRadius);
+      }
+    }
+
+    // Strings touching the ball get dragged along with it (the swish)
+    if (contacts > 0 && ballVelocity) {
+      this.dragWithBall(
+        ballPosition,
+        ballRadius,
+        ballVelocity,
+        dt * ballFriction,
+      );
+    }
+
+    this.mesh.geometry.getAttribute("position").needsUpdate = true;
+
+    return contacts / count;
+  }
+
+  satisfyConstraints() {
+    const { stiffness } = this.config;
+
+    for (let c = 0; c < this.constraints.length; c++) {
+      const [indexA, indexB, restLength] = this.constraints[c];
+      const a = indexA * 3;
+      const b = indexB * 3;
+
+      const dx = this.positions[b] - this.positions[a];
+      const dy = this.positions[b + 1] - this.positions[a + 1];
+      const dz = this.positions[b + 2] - this.positions[a + 2];
+      const length = Math.hypot(dx, dy, dz);
+
+      // Strings only resist stretching, they go slack when compressed
+      if (length <= restLength || length === 0) continue;
+
+      const correction = ((length - restLength) / length) * stiffness;
+      const pinnedA = this.pinned[indexA];
+      const pinnedB = this.pinned[indexB];
+      const shareA = pinnedA ? 0 : pinnedB ? 1 : 0.5;
+      const shareB = pinnedB ? 0 : pinnedA ? 1 : 0.5;
+
+      this.positions[a] += dx * correction * shareA;
+      this.positions[a + 1] += dy * correction * shareA;
+      this.positions[a + 2] += dz * correction * shareA;
+      this.positions[b] -= dx * correction * shareB;
+      this.positions[b + 1] -= dy * correction * shareB;
+      this.positions[b + 2] -= dz * correction * shareB;
+    }
+  }
+
+  collideWithBall(ballPosition, ballRadius) {
+    const minDistance = ballRadius + 0.01; // String thickness
+    let contacts = 0;
+
+    for (let i = 0; i < this.pinned.length; i++) {
+      if (this.pinned[i]) continue;
+
+      const k = i * 3;
+      const dx = this.positions[k] - ballPosition.x;
+      const dy = this.positions[k + 1] - ballPosition.y;
+      const dz = this.positions[k + 2] - ballPosition.z;
+      const distance = Math.hypot(dx, dy, dz);
+
+      if (distance < minDistance && distance > 0) {
+        // Push the knot out to the ball's surface
+        const push = minDistance / distance;
+        this.positions[k] = ballPosition.x + dx * push;
+        this.positions[k + 1] = ballPosition.y + dy * push;
+        this.positions[k + 2] = ballPosition.z + dz * push;
+        contacts++;
+      }
+    }
+
+    return contacts;
+  }
+
+  dragWithBall(ballPosition, ballRadius, ballVelocity, amount) {
+    const reach = ballRadius + 0.03;
+
+    for (let i = 0; i < this.pinned.length; i++) {
+      if (this.pinned[i]) continue;
+
+      const k = i * 3;
+      this.tmpBall.set(
+        this.positions[k] - ballPosition.x,
+        this.positions[k + 1] - ballPosition.y,
+        this.positions[k + 2] - ballPosition.z,
+      );
+
+      if (this.tmpBall.length() < reach) {
+        // Moving the previous position gives the knot some of the ball's velocity
+        this.previous[k] -= ballVelocity.x * amount;
+        this.previous[k + 1] -= ballVelocity.y * amount;
+        this.previous[k + 2] -= ballVelocity.z * amount;
+      }
+    }
+  }
+
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    if (this.mesh) {
+      if (this.mesh.geometry) this.mesh.geometry.dispose();
+      if (this.mesh.material) this.mesh.material.dispose();
+    }
+  }
+}
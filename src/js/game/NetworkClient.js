@@ -0,0 +1,100 @@
+/**
+ * Thin WebSocket wrapper for online play. Messages are JSON objects with a
+ * `type`; handlers are registered per type with on().
+ */
+export class NetworkClient {
+  constructor(url) {
+    this.url = url;
+    this.socket = null;
+    this.isConnected = false;
+
+    // Message type -> handlers
+    this.handlers = {};
+  }
+
+  /**
+   * Default server address: ?server=<url>, otherwise port 8080 on this host
+   * @param {string} search The page's query string (window.location.search)
+   * @returns {string}
+   */
+  static getServerUrl(search) {
+    const server = new URLSearchParams(search).get("server");
+    if (server) return server;
+
+    const protocol = window.location.protocol === "https:" ? "wss:" : "ws:";
+    return `${protocol}//${window.location.hostname || "localhost"}:8080`;
+  }
+
+  /**
+   * Open the connection. Emits "open", "close" and one event per message type.
+   */
+  connect() {
+    try {
+      this.socket = new WebSocket(this.url);
+    } catch (error) {
+      console.error("Error connecting to server:", error);
+      this.emit("close", {});
+      return;
+    }
+
+    this.socket.addEventListener("open", () => {
+      this.isConnected = true;
+      this.emit("open", {});
+    });
+
+    this.socket.addEventListener("message", (event) => {
+      try {
+        const message = JSON.parse(event.data);
+        this.emit(message.type, message);
+      } catch (error) {
+        console.error("Error reading server message:", error);
+      }
+    });
+
+    this.socket.addEventListener("close", () => {
+      this.isConnected = false;
+      this.emit("close", {});
+    });
+
+    this.socket.addEventListener("error", (error) => {
+      console.error("Connection error:", error);
+    });
+  }
+
+  /**
+   * Listen for a message type
+   * @param {string} type Message type (or "open"/"close")
+   * @param {Function} handler Called with the message
+   */
+  on(type, handler) {
+    if (!this.handlers[type]) this.handlers[type] = [];
+    this.handlers[type].push(handler);
+  }
+
+  emit(type, message) {
+    (this.handlers[type] || []).forEach((handler) => handler(message));
+  }
+
+  /**
+   * Send a message (dropped if not connected)
+   * @param {string} type Message type
+   * @param {Object} [data] Message fields
+   */
+  send(type, data = {}) {
+    if (this.socket && this.isConnected) {
+      this.socket.send(JSON.stringify({ type, ...data }));
+    }
+  }
+
+  /**
+   * Close the connection and forget all handlers
+   */
+  disconnect() {
+    this.handlers = {};
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+    this.isConnected = false;
+  }
+}
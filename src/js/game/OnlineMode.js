@@ -0,0 +1,166 @@
+import { GameMode } from "./GameMode.js";
+
+/**
+ * Online 1v1 race: both players shoot at their own hoop and the first to
+ * `target` makes wins. The server pairs players, checks every make against
+ * the shot that was submitted for it and relays each player's ball so the
+ * opponent shows up as a ghost.
+ */
+export class OnlineMode extends GameMode {
+  constructor(options = {}) {
+    super(options);
+    this.name = "online";
+    this.label = "Online 1v1";
+
+    this.client = options.client; // NetworkClient
+    this.levelId = options.levelId || "default";
+    this.ballSendInterval = options.ballSendInterval || 50; // ms between ghost updates
+
+    this.reset();
+  }
+
+  reset() {
+    this.status = "connecting"; // connecting, waiting, playing, finished, disconnected
+    this.target = 0; // Makes needed to win (sent by the server)
+    this.verifiedMakes = 0; // Makes the server accepted
+    this.opponentMakes = 0;
+    this.winner = null; // "you" or "opponent"
+    this.opponentLeft = false;
+    this.opponentBall = null; // { position, quaternion, time }
+    this.shotId = 0;
+    this.time = 0; // ms since the round started
+    this.lastBallSent = -Infinity;
+  }
+
+  start() {
+    super.start();
+    this.reset();
+
+    const { client } = this;
+    client.on("open", () => client.send("join", { level: this.levelId }));
+    client.on("waiting", () => {
+      this.status = "waiting";
+    });
+    client.on("matched", (message) => {
+      this.status = "playing";
+      this.target = message.target;
+    });
+    client.on("score", (message) => {
+      this.verifiedMakes = message.you;
+      this.opponentMakes = message.opponent;
+    });
+    client.on("ghost", (message) => {
+      this.opponentBall = {
+        position: message.position,
+        quaternion: message.quaternion,
+        time: this.time,
+      };
+    });
+    client.on("rejected", (message) => {
+      console.log("Shot rejected by server:", message.reason);
+    });
+    client.on("finished", (message) => {
+      this.status = "finished";
+      this.winner = message.winner;
+    });
+    client.on("opponent-left", () => {
+      this.status = "finished";
+      this.winner = "you";
+      this.opponentLeft = true;
+    });
+    client.on("close", () => {
+      if (this.status !== "finished") this.status = "disconnected";
+    });
+
+    client.connect();
+  }
+
+  stop() {
+    super.stop();
+    this.client.disconnect();
+  }
+
+  update(delta) {
+    this.time += delta;
+  }
+
+  canShoot() {
+    return super.canShoot() && this.status === "playing";
+  }
+
+  recordShot(shot) {
+    super.recordShot(shot);
+    if (!shot) return;
+
+    // Send the inputs so the server can check the result we report
+    this.shotId++;
+    this.client.send("shot", {
+      shotId: this.shotId,
+      position: toObject(shot.position),
+      velocity: toObject(shot.velocity),
+      force: toObject(shot.force),
+      spin: shot.spin ? toObject(shot.spin) : null,
+      hoopTime: shot.hoopTime,
+    });
+  }
+
+  recordResult(made) {
+    super.recordResult(made);
+    this.client.send("result", { shotId: this.shotId, made });
+  }
+
+  updateBall(position, quaternion) {
+    if (this.status !== "playing") return;
+    if (this.time - this.lastBallSent < this.ballSendInterval) return;
+
+    this.lastBallSent = this.time;
+    this.client.send("ball", {
+      position: [position.x, position.y, position.z],
+      quaternion: [quaternion.x, quaternion.y, quaternion.z, quaternion.w],
+    });
+  }
+
+  /**
+   * The opponent's latest ball transform, or null if it has gone quiet
+   * @returns {{position: number[], quaternion: number[]}|null}
+   */
+  getOpponentBall() {
+    if (!this.opponentBall || this.time - this.opponentBall.time > 1000) {
+      return null;
+    }
+    return this.opponentBall;
+  }
+
+  isOver() {
+    return this.status === "finished" || this.status === "disconnected";
+  }
+
+  getSummary() {
+    return {
+      ...super.getSummary(),
+      opponentMakes: this.opponentMakes,
+    };
+  }
+
+  getResultTitle() {
+    if (this.status === "disconnected") return "Disconnected";
+    if (this.opponentLeft) return "Opponent Left - You Win!";
+    return this.winner === "you" ? "You Win!" : "You Lose";
+  }
+
+  getHudHtml() {
+    switch (this.status) {
+      case "connecting":
+        return "<div>Connecting...</div>";
+      case "waiting":
+        return "<div>Waiting for an opponent...</div>";
+      default:
+        return `<div>Race to ${this.target}: You ${this.verifiedMakes} - ${this.opponentMakes} Opponent</div>`;
+    }
+  }
+}
+
+// Plain { x, y, z } for sending
+function toObject(vector) {
+  return { x: vector.x, y: vector.y, z: vector.z };
+}
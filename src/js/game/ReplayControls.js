@@ -0,0 +1,187 @@
+import { serializeReplay, parseReplay } from "./ShotRecorder.js";
+
+/**
+ * DOM controls for the replay player: open the last make, play/pause,
+ * scrub, playback speed, camera angle, and JSON export/import.
+ */
+export class ReplayControls {
+  constructor(options = {}) {
+    this.player = options.player;
+    this.onOpen = options.onOpen || function () {}; // Called with a recording to play
+    this.onClose = options.onClose || function () {};
+
+    // Elements
+    this.openButton = document.getElementById("replay-button");
+    this.toolbar = document.getElementById("replay-toolbar");
+    this.playButton = document.getElementById("replay-play");
+    this.scrubInput = document.getElementById("replay-scrub");
+    this.speedSelect = document.getElementById("replay-speed");
+    this.angleInput = document.getElementById("replay-angle");
+    this.exportButton = document.getElementById("replay-export");
+    // File pickers in the controls and on the start and game over screens
+    this.importInputs = document.querySelectorAll(".replay-import");
+    this.closeButton = document.getElementById("replay-close");
+
+    // Recording offered by the open button
+    this.available = null;
+    this.isScrubbing = false;
+
+    // Bind methods
+    this.handleImport = this.handleImport.bind(this);
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    if (this.openButton) {
+      this.openButton.addEventListener("click", () => {
+        if (this.available) this.onOpen(this.available);
+      });
+    }
+
+    if (this.playButton) {
+      this.playButton.addEventListener("click", () => this.player.togglePlay());
+    }
+
+    if (this.scrubInput) {
+      // Scrubbing pauses playback until the slider is released
+      this.scrubInput.addEventListener("input", () => {
+        this.isScrubbing = true;
+        this.player.pause();
+        this.player.seek(
+          (this.scrubInput.value / this.scrubInput.max) *
+            this.player.getDuration(),
+        );
+      });
+      this.scrubInput.addEventListener("change", () => {
+        this.isScrubbing = false;
+      });
+    }
+
+    if (this.speedSelect) {
+      this.speedSelect.addEventListener("change", () => {
+        this.player.setSpeed(parseFloat(this.speedSelect.value));
+      });
+    }
+
+    if (this.angleInput) {
+      this.angleInput.addEventListener("input", () => {
+        this.player.setCameraAngle(parseFloat(this.angleInput.value));
+      });
+    }
+
+    // Preset camera angles
+    if (this.toolbar) {
+      this.toolbar.querySelectorAll("[data-angle]").forEach((button) => {
+        button.addEventListener("click", () => {
+          const angle = parseFloat(button.dataset.angle);
+          this.player.setCameraAngle(angle);
+          if (this.angleInput) this.angleInput.value = angle;
+        });
+      });
+    }
+
+    if (this.exportButton) {
+      this.exportButton.addEventListener("click", () => this.exportReplay());
+    }
+
+    this.importInputs.forEach((input) => {
+      input.addEventListener("change", this.handleImport);
+    });
+
+    if (this.closeButton) {
+      this.closeButton.addEventListener("click", () => this.onClose());
+    }
+  }
+
+  /**
+   * Offer a recording on the open button (or hide it when null)
+   * @param {Object|null} recording
+   */
+  setAvailable(recording) {
+    this.available = recording;
+    if (this.openButton) {
+      this.openButton.classList.toggle("hidden", !recording);
+    }
+  }
+
+  /**
+   * Show or hide the playback toolbar
+   * @param {boolean} visible
+   */
+  setOpen(visible) {
+    if (this.toolbar) {
+      this.toolbar.classList.toggle("hidden", !visible);
+    }
+    if (visible) {
+      // Start each replay from the shooter's view at normal speed
+      this.player.setSpeed(1);
+      this.player.setCameraAngle(0);
+      if (this.speedSelect) this.speedSelect.value = "1";
+      if (this.angleInput) this.angleInput.value = 0;
+    }
+  }
+
+  /**
+   * Keep the scrub bar and play button in sync with the player
+   */
+  update() {
+    if (!this.player.isActive) return;
+
+    if (this.scrubInput && !this.isScrubbing) {
+      const duration = this.player.getDuration();
+      this.scrubInput.value =
+        duration > 0 ? (this.player.time / duration) * this.scrubInput.max : 0;
+    }
+
+    if (this.playButton) {
+      const label = this.player.isPlaying ? "Pause" : "Play";
+      if (this.playButton.textContent !== label) {
+        this.playButton.textContent = label;
+      }
+    }
+  }
+
+  // Download the replay being watched as a JSON file
+  exportReplay() {
+    const recording = this.player.recording;
+    if (!recording) return;
+
+    const blob = new Blob([serializeReplay(recording)], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `shot-replay-${Date.now()}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    URL.revokeObjectURL(url);
+  }
+
+  // Load a replay file picked by the player and start watching it
+  async handleImport(event) {
+    const input = event.target;
+    const file = input.files && input.files[0];
+    if (!file) return;
+
+    try {
+      const recording = parseReplay(await file.text());
+      this.onOpen(recording);
+    } catch (error) {
+      console.error("Error importing replay:", error);
+    } finally {
+      // Allow the same file to be picked again
+      input.value = "";
+    }
+  }
+
+  dispose() {
+    this.importInputs.forEach((input) => {
+      input.removeEventListener("change", this.handleImport);
+    });
+  }
+}
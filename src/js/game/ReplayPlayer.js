@@ -0,0 +1,249 @@
+import * as THREE from "three";
+
+/**
+ * Plays back a recorded shot (see ShotRecorder) on a ghost ball.
+ *
+ * The player takes over the camera while active and orbits it around the
+ * shot, so the replay can be watched from any angle. Playback can be
+ * paused, scrubbed and sped up or slowed down.
+ */
+export class ReplayPlayer {
+  constructor(scene, camera, options = {}) {
+    // Store references
+    this.scene = scene;
+    this.camera = camera;
+
+    // Configuration with defaults
+    this.config = {
+      radius: options.radius || 0.24,
+      color: options.color || 0xf85e00,
+      elevation: options.elevation || 20, // Camera height angle in degrees
+    };
+
+    // Playback state
+    this.recording = null;
+    this.time = 0; // Seconds into the replay
+    this.speed = 1; // Playback speed multiplier
+    this.isPlaying = false;
+    this.isActive = false;
+
+    // Camera orbit around the shot
+    this.azimuth = 0; // Degrees, 0 = behind the shooter
+    this.elevation = this.config.elevation;
+    this.baseAzimuth = 0; // Heading from the shot's centre back to the shooter
+    this.distance = 8;
+    this.focus = new THREE.Vector3();
+    this.savedCameraPosition = new THREE.Vector3();
+    this.savedCameraQuaternion = new THREE.Quaternion();
+
+    // Reusable interpolation targets
+    this.tmpPosition = new THREE.Vector3();
+    this.tmpNextPosition = new THREE.Vector3();
+    this.tmpQuaternion = new THREE.Quaternion();
+    this.tmpNextQuaternion = new THREE.Quaternion();
+
+    // Ghost ball drawn in place of the real one
+    this.ghost = this.createGhost();
+    this.scene.add(this.ghost);
+  }
+
+  createGhost() {
+    const geometry = new THREE.SphereGeometry(this.config.radius, 32, 16);
+    const material = new THREE.MeshPhongMaterial({
+      color: this.config.color,
+      shininess: 10,
+      specular: 0x111111,
+    });
+
+    const ghost = new THREE.Mesh(geometry, material);
+    ghost.castShadow = true;
+    ghost.visible = false;
+
+    return ghost;
+  }
+
+  /**
+   * Start playing a recording from the beginning
+   * @param {Object} recording A recording from ShotRecorder
+   */
+  start(recording) {
+    // Remember where the game camera was so we can hand it back
+    if (!this.isActive) {
+      this.savedCameraPosition.copy(this.camera.position);
+      this.savedCameraQuaternion.copy(this.camera.quaternion);
+    }
+
+    this.recording = recording;
+    this.isActive = true;
+    this.ghost.visible = true;
+
+    this.frameShot();
+    this.seek(0);
+    this.play();
+  }
+
+  /**
+   * Stop the replay and give the camera back
+   */
+  stop() {
+    if (!this.isActive) return;
+
+    this.isActive = false;
+    this.isPlaying = false;
+    this.ghost.visible = false;
+
+    this.camera.position.copy(this.savedCameraPosition);
+    this.camera.quaternion.copy(this.savedCameraQuaternion);
+  }
+
+  play() {
+    if (!this.recording) return;
+
+    // Restart from the top if we're at the end
+    if (this.time >= this.getDuration()) {
+      this.time = 0;
+    }
+    this.isPlaying = true;
+  }
+
+  pause() {
+    this.isPlaying = false;
+  }
+
+  togglePlay() {
+    if (this.isPlaying) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  /**
+   * Jump to a time in the replay
+   * @param {number} time Seconds from the start
+   */
+  seek(time) {
+    this.time = THREE.MathUtils.clamp(time, 0, this.getDuration());
+    this.applyFrame();
+  }
+
+  /**
+   * @param {number} speed Playback speed multiplier (e.g. 0.25 for slow motion)
+   */
+  setSpeed(speed) {
+    this.speed = speed;
+  }
+
+  /**
+   * Orbit the camera around the shot
+   * @param {number} azimuth Degrees around the shot, 0 = behind the shooter
+   * @param {number} [elevation] Degrees above the horizon
+   */
+  setCameraAngle(azimuth, elevation = this.elevation) {
+    this.azimuth = azimuth;
+    this.elevation = elevation;
+    this.updateCamera();
+  }
+
+  /**
+   * Length of the replay in seconds
+   */
+  getDuration() {
+    if (!this.recording) return 0;
+    return (this.recording.frames.length - 1) * this.recording.step;
+  }
+
+  /**
+   * Advance playback
+   * @param {number} delta Elapsed time in seconds
+   */
+  update(delta) {
+    if (!this.isActive) return;
+
+    if (this.isPlaying) {
+      this.time += delta * this.speed;
+
+      if (this.time >= this.getDuration()) {
+        this.time = this.getDuration();
+        this.isPlaying = false;
+      }
+
+      this.applyFrame();
+    }
+
+    this.updateCamera();
+  }
+
+  // Place the ghost between the two recorded steps around the current time
+  applyFrame() {
+    if (!this.recording) return;
+
+    const { frames, step } = this.recording;
+    const exact = this.time / step;
+    const index = Math.min(Math.floor(exact), frames.length - 1);
+    const next = Math.min(index + 1, frames.length - 1);
+    const alpha = exact - index;
+
+    this.readFrame(frames[index], this.tmpPosition, this.tmpQuaternion);
+    this.readFrame(frames[next], this.tmpNextPosition, this.tmpNextQuaternion);
+
+    this.ghost.position.lerpVectors(
+      this.tmpPosition,
+      this.tmpNextPosition,
+      alpha,
+    );
+    this.ghost.quaternion.slerpQuaternions(
+      this.tmpQuaternion,
+      this.tmpNextQuaternion,
+      alpha,
+    );
+  }
+
+  readFrame(frame, position, quaternion) {
+    position.set(frame[0], frame[1], frame[2]);
+    quaternion.set(frame[3], frame[4], frame[5], frame[6]);
+  }
+
+  // Fit the camera orbit to the whole flight path
+  frameShot() {
+    const box = new THREE.Box3();
+    this.recording.frames.forEach((frame) => {
+      box.expandByPoint(this.tmpPosition.set(frame[0], frame[1], frame[2]));
+    });
+
+    box.getCenter(this.focus);
+    const size = box.getSize(this.tmpPosition);
+    this.distance = Math.max(size.x, size.y, size.z) * 0.9 + 3;
+
+    // Azimuth 0 looks along the shot from behind the shooter
+    const start = this.recording.frames[0];
+    this.baseAzimuth = Math.atan2(
+      start[0] - this.focus.x,
+      start[2] - this.focus.z,
+    );
+  }
+
+  updateCamera() {
+    if (!this.isActive) return;
+
+    const azimuth = this.baseAzimuth + THREE.MathUtils.degToRad(this.azimuth);
+    const elevation = THREE.MathUtils.degToRad(this.elevation);
+    const horizontal = Math.cos(elevation) * this.distance;
+
+    this.camera.position.set(
+      this.focus.x + Math.sin(azimuth) * horizontal,
+      this.focus.y + Math.sin(elevation) * this.distance,
+      this.focus.z + Math.cos(azimuth) * horizontal,
+    );
+    this.camera.lookAt(this.focus);
+  }
+
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    this.scene.remove(this.ghost);
+    this.ghost.geometry.dispose();
+    this.ghost.material.dispose();
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * Timers on the game clock instead of the wall clock.
+ *
+ * The game advances the clock every frame; callbacks run from that update
+ * once enough game time has passed. Time stands still while the scheduler
+ * is paused (or the tab is hidden and frames stop) and runs slower or faster
+ * with `timeScale`, so a delay always means the same amount of play.
+ *
+ * Like setTimeout, `schedule` returns a handle that `cancel` takes.
+ */
+export class Scheduler {
+  constructor() {
+    this.time = 0; // Milliseconds of game time so far
+    this.timeScale = 1; // Game time per unit of time passed to update
+    this.isPaused = false;
+    this.tasks = []; // Pending { id, time, callback }, soonest first
+    this.nextId = 1;
+  }
+
+  /**
+   * Run a callback after some game time
+   * @param {number} delay Milliseconds of game time
+   * @param {Function} callback
+   * @returns {number} Handle for cancel
+   */
+  schedule(delay, callback) {
+    const task = {
+      id: this.nextId++,
+      time: this.time + Math.max(delay, 0),
+      callback,
+    };
+
+    // Keep the queue sorted; equal times run in the order they were scheduled
+    const index = this.tasks.findIndex(({ time }) => time > task.time);
+    this.tasks.splice(index === -1 ? this.tasks.length : index, 0, task);
+
+    return task.id;
+  }
+
+  /**
+   * Drop a pending callback (unknown or finished handles are ignored)
+   * @param {number|null} id Handle from schedule
+   */
+  cancel(id) {
+    this.tasks = this.tasks.filter((task) => task.id !== id);
+  }
+
+  /**
+   * Whether a callback is still waiting to run
+   * @param {number|null} id Handle from schedule
+   * @returns {boolean}
+   */
+  isPending(id) {
+    return this.tasks.some((task) => task.id === id);
+  }
+
+  /**
+   * Drop every pending callback
+   */
+  clear() {
+    this.tasks = [];
+  }
+
+  pause() {
+    this.isPaused = true;
+  }
+
+  resume() {
+    this.isPaused = false;
+  }
+
+  /**
+   * Current game time
+   * @returns {number} Milliseconds
+   */
+  now() {
+    return this.time;
+  }
+
+  /**
+   * Advance the clock and run everything that has come due
+   * @param {number} delta Milliseconds passed (before time scaling)
+   */
+  update(delta) {
+    if (this.isPaused) return;
+
+    this.time += delta * this.timeScale;
+
+    // Callbacks may schedule or cancel others; anything already due runs now
+    while (this.tasks.length && this.tasks[0].time <= this.time) {
+      const task = this.tasks.shift();
+      try {
+        task.callback();
+      } catch (error) {
+        console.error("Error in scheduled callback:", error);
+      }
+    }
+  }
+}
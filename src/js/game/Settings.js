@@ -0,0 +1,106 @@
+/**
+ * Player settings, kept in localStorage (next to the high score) as
+ * versioned JSON: { version, settings }.
+ *
+ * Stored values are checked on load, so a hand-edited or half-written entry
+ * falls back to the defaults for whatever is wrong. When the format changes,
+ * bump SETTINGS_VERSION and add a step to MIGRATIONS that upgrades the
+ * previous version's settings.
+ */
+export const SETTINGS_KEY = "basketballSettings";
+export const SETTINGS_VERSION = 1;
+
+export const DEFAULT_SETTINGS = {
+  sensitivity: 1, // Multiplier on swipe and controller strength
+  trajectory: true, // Show the aim guide while aiming
+  aimGuide: "full", // How much of the flight the guide draws (see Game's AIM_GUIDES)
+  aimAssist: 0.25, // Simulation.aimAssist: share of the sideways miss corrected
+  graphics: "high", // low, medium or high (see Game's GRAPHICS_QUALITY)
+  volume: 0.8, // Master volume (0-1)
+  leftHanded: false, // Mirror the on-screen controls
+};
+
+// Allowed range of each numeric setting
+const RANGES = {
+  sensitivity: [0.5, 1.5],
+  aimAssist: [0, 0.5],
+  volume: [0, 1],
+};
+
+const GRAPHICS_LEVELS = ["low", "medium", "high"];
+const AIM_GUIDES = ["bounce", "full", "short", "off"]; // Keys of Game's AIM_GUIDES
+
+// Upgrades from each older version to the next, keyed by the version they
+// upgrade from, e.g. 1: (settings) => ({ ...settings, newOption: true })
+const MIGRATIONS = {};
+
+/**
+ * Settings with every value present and valid
+ * @param {Object} [settings] Possibly partial or invalid settings
+ * @returns {Object}
+ */
+export function normalizeSettings(settings = {}) {
+  const result = { ...DEFAULT_SETTINGS };
+  if (!settings || typeof settings !== "object") return result;
+
+  Object.keys(DEFAULT_SETTINGS).forEach((key) => {
+    const value = settings[key];
+    if (typeof value !== typeof DEFAULT_SETTINGS[key]) return;
+
+    if (RANGES[key]) {
+      const [min, max] = RANGES[key];
+      if (Number.isFinite(value)) {
+        result[key] = Math.min(Math.max(value, min), max);
+      }
+    } else if (key === "graphics") {
+      if (GRAPHICS_LEVELS.includes(value)) result[key] = value;
+    } else if (key === "aimGuide") {
+      if (AIM_GUIDES.includes(value)) result[key] = value;
+    } else {
+      result[key] = value;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Read the stored settings, upgrading older versions
+ * @param {Storage} [storage]
+ * @returns {Object} Complete settings (the defaults if nothing usable is stored)
+ */
+export function loadSettings(storage = globalThis.localStorage) {
+  try {
+    const stored = JSON.parse(storage.getItem(SETTINGS_KEY));
+    if (!stored || typeof stored !== "object") return normalizeSettings();
+
+    let { version, settings } = stored;
+    while (version < SETTINGS_VERSION && MIGRATIONS[version]) {
+      settings = MIGRATIONS[version](settings);
+      version++;
+    }
+    return normalizeSettings(settings);
+  } catch (error) {
+    console.error("Error loading settings:", error);
+    return normalizeSettings();
+  }
+}
+
+/**
+ * Store the settings
+ * @param {Object} settings
+ * @param {Storage} [storage]
+ */
+export function saveSettings(settings, storage = globalThis.localStorage) {
+  try {
+    storage.setItem(
+      SETTINGS_KEY,
+      JSON.stringify({
+        version: SETTINGS_VERSION,
+        settings: normalizeSettings(settings),
+      }),
+    );
+  } catch (error) {
+    console.error("Error saving settings:", error);
+  }
+}
@@ -0,0 +1,159 @@
+/**
+ * Records every shot: the swipe that produced it, the force that was
+ * applied, and the ball transform on each physics step.
+ *
+ * Recordings are plain objects so they serialize straight to JSON:
+ * {
+ *   version, step, made,
+ *   swipe: { samples: [{ x, y, t }], duration, velocity, power, curvature },
+ *   force: { x, y, z }, spin: { x, y, z }, start: { x, y, z },
+ *   frames: [[x, y, z, qx, qy, qz, qw], ...] // one per physics step
+ * }
+ */
+export const REPLAY_VERSION = 1;
+
+export class ShotRecorder {
+  constructor(options = {}) {
+    this.maxFrames = options.maxFrames || 60 * 10; // 10 seconds at 60Hz
+
+    // Properties
+    this.current = null; // Shot being recorded
+    this.lastShot = null; // Most recent finished shot
+    this.lastMake = null; // Most recent finished shot that went in
+  }
+
+  /**
+   * Start recording a new shot
+   * @param {Object} shot
+   * @param {Object} [shot.swipe] InputManager.lastSwipe for the shot
+   * @param {THREE.Vector3} shot.force Force applied to the ball
+   * @param {THREE.Vector3} [shot.spin] Spin applied to the ball
+   * @param {THREE.Vector3} shot.position Ball position at release
+   * @param {number} shot.step Physics step length in seconds
+   */
+  begin({ swipe = null, force, spin = null, position, step }) {
+    this.current = {
+      version: REPLAY_VERSION,
+      step,
+      made: false,
+      swipe: swipe
+        ? {
+            samples: swipe.samples.map(({ x, y, t }) => ({ x, y, t })),
+            duration: swipe.duration,
+            velocity: swipe.velocity,
+            power: swipe.power,
+            curvature: swipe.curvature,
+          }
+        : null,
+      force: toXYZ(force),
+      spin: spin ? toXYZ(spin) : null,
+      start: toXYZ(position),
+      frames: [],
+    };
+  }
+
+  /**
+   * Whether a shot is currently being recorded
+   */
+  isRecording() {
+    return this.current !== null;
+  }
+
+  /**
+   * Record the ball transform after a physics step
+   * @param {THREE.Vector3} position
+   * @param {THREE.Quaternion} quaternion
+   */
+  recordFrame(position, quaternion) {
+    if (!this.current || this.current.frames.length >= this.maxFrames) return;
+
+    this.current.frames.push([
+      round(position.x),
+      round(position.y),
+      round(position.z),
+      round(quaternion.x),
+      round(quaternion.y),
+      round(quaternion.z),
+      round(quaternion.w),
+    ]);
+  }
+
+  /**
+   * Flag the shot being recorded as a make
+   */
+  markMade() {
+    if (this.current) {
+      this.current.made = true;
+    }
+  }
+
+  /**
+   * Stop recording and keep the shot
+   * @returns {Object|null} The finished recording
+   */
+  finish() {
+    const shot = this.current;
+    this.current = null;
+
+    if (shot && shot.frames.length > 1) {
+      this.lastShot = shot;
+      if (shot.made) {
+        this.lastMake = shot;
+      }
+    }
+
+    return shot;
+  }
+}
+
+/**
+ * Serialize a recording to a JSON string
+ * @param {Object} recording
+ * @returns {string}
+ */
+export function serializeReplay(recording) {
+  return JSON.stringify(recording);
+}
+
+/**
+ * Parse and validate a recording exported with serializeReplay
+ * @param {string} json
+ * @returns {Object} The recording
+ * @throws {Error} If the JSON is not a usable replay
+ */
+export function parseReplay(json) {
+  const recording = JSON.parse(json);
+
+  if (!recording || typeof recording !== "object") {
+    throw new Error("Replay is not an object");
+  }
+  if (recording.version !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version: ${recording.version}`);
+  }
+  if (!(recording.step > 0)) {
+    throw new Error("Replay has no physics step");
+  }
+  if (
+    !Array.isArray(recording.frames) ||
+    recording.frames.length < 2 ||
+    !recording.frames.every(
+      (frame) =>
+        Array.isArray(frame) &&
+        frame.length === 7 &&
+        frame.every((value) => Number.isFinite(value)),
+    )
+  ) {
+    throw new Error("Replay frames are missing or malformed");
+  }
+
+  return recording;
+}
+
+function toXYZ(vector) {
+  return { x: vector.x, y: vector.y, z: vector.z };
+}
+
+// Keep exported files small: 0.1mm is plenty
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
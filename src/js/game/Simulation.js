@@ -0,0 +1,327 @@
+import * as THREE from "three";
+import { AmmoPhysics } from "@enable3d/ammo-physics";
+import { Basketball } from "./Basketball.js";
+import { Hoop } from "./Hoop.js";
+import { createLevel } from "./LevelConfig.js";
+import { solveShot, findShot, getReleaseAngle } from "../utils/shotSolver.js";
+import { predictFlight } from "../utils/ballistics.js";
+
+/**
+ * The physical court: Ammo world, ground, ball and hoop, stepped at a fixed
+ * rate. Has no DOM, camera or renderer, so it runs the same in the browser
+ * (driven by Game) and headless in Node (driven by tests).
+ *
+ * Ammo must already be loaded (the global `Ammo`) before init().
+ */
+export class Simulation {
+  constructor(scene, options = {}) {
+    // Objects are added to this scene; in Node it is simply never rendered
+    this.scene = scene;
+
+    // Court layout (hoop, ball spawn, gravity, ...)
+    this.level = options.level || createLevel();
+    this.fixedTimeStep = options.fixedTimeStep || 1 / 60; // Seconds per step
+    this.aimAssist = options.aimAssist ?? 0.25; // Share of the sideways miss corrected (0 = none)
+
+    // Called with (surface, impactSpeed) when the ball hits something
+    this.onBallContact = options.onBallContact || function () {};
+
+    this.physics = null;
+    this.basketball = null;
+    this.hoop = null;
+    this.floorHeight = 0; // Top of the ground
+    this.contacts = new Map(); // Body name -> surface the ball is touching
+
+    // Bind methods
+    this.handleCollision = this.handleCollision.bind(this);
+  }
+
+  /**
+   * Build the physics world and the court
+   * @param {{x: number, y: number, z: number}} [spawnPosition] Where the ball starts
+   */
+  init(spawnPosition = this.level.ball.spawn) {
+    // Each update() call advances exactly one fixed step (see step)
+    this.physics = new AmmoPhysics(this.scene, {
+      fixedTimeStep: this.fixedTimeStep,
+      maxSubSteps: 1,
+    });
+
+    // Set stronger gravity for more natural bouncing
+    const { gravity } = this.level;
+    this.physics.setGravity(gravity.x, gravity.y, gravity.z); // Default is (0, -9.8, 0)
+
+    // Create ground with physics
+    this.createGround();
+
+    // Create basketball and hoop
+    const { ball, hoop } = this.level;
+    this.basketball = new Basketball(this.physics, this.scene, {
+      ...ball,
+      position: { ...spawnPosition },
+    });
+    this.hoop = new Hoop(this.physics, this.scene, { ...hoop });
+
+    // Report what the ball hits
+    this.physics.collisionEvents.on("collision", this.handleCollision);
+
+    return this;
+  }
+
+  createGround() {
+    // Create a floor plane with physics
+    const { width, height, color } = this.level.ground;
+    const depth = 1;
+
+    // Add a physical ground plane with improved properties for bounce
+    const ground = this.physics.add.ground(
+      {
+        name: "ground",
+        width,
+        height,
+        depth,
+        restitution: 0.95, // Increased from 0.9 to 0.95 for better bounce
+      },
+      { phong: { color, transparent: true, opacity: 0.8 } },
+    );
+
+    // set bounciness
+    ground.body.setBounciness(1);
+
+    // The slab is centred on y = 0
+    this.floorHeight = depth / 2;
+  }
+
+  /**
+   * Advance the world by one fixed step
+   */
+  step() {
+    this.physics.update(this.fixedTimeStep * 1000);
+
+    // Record the new physics state for interpolation
+    this.basketball.captureState();
+
+    // Update game objects
+    this.basketball.update();
+    this.hoop.update(this.fixedTimeStep, this.basketball);
+  }
+
+  /**
+   * Turn a swipe into the impulse actually applied to the ball: more arc,
+   * forward force scaled to the distance, and a slight pull towards a shot
+   * that scores
+   * @param {THREE.Vector3} force Swipe force in the shooting view
+   * @param {THREE.Vector3|null} spin Swipe spin in the shooting view
+   * @param {number} [shotYaw] Rotation from the level's shooting view to the current one
+   * @returns {{force: THREE.Vector3, spin: THREE.Vector3|null}}
+   */
+  shapeShot(force, spin = null, shotYaw = 0) {
+    // Calculate distance to hoop for force adjustment
+    const ballPos = this.basketball.getPosition();
+    const hoopPos = this.hoop.getRimPosition();
+    const distanceToHoop = ballPos.distanceTo(hoopPos);
+
+    // Add more upward arc and adjust force based on distance
+    const shapedForce = new THREE.Vector3(
+      force.x * 0.7, // Reduce left/right movement
+      force.y * 1.8, // Increased upward force for better arc
+      force.z * (distanceToHoop / 5), // Increased forward force
+    );
+
+    // Swipes are measured in the shooting view; turn them to face the hoop
+    const up = new THREE.Vector3(0, 1, 0);
+    shapedForce.applyAxisAngle(up, shotYaw);
+    const shapedSpin = spin ? spin.clone().applyAxisAngle(up, shotYaw) : null;
+
+    // Slight auto-aim: move the sideways part of the shot towards the
+    // scoring shot released at the same angle (depth and arc are untouched).
+    // The ball may still be bouncing, so the angle is the launch's.
+    const launch = this.basketball
+      .getVelocity()
+      .addScaledVector(shapedForce, 1 / this.basketball.getMass());
+    const perfect = this.findPerfectShot(getReleaseAngle(launch));
+    if (perfect) {
+      const side = new THREE.Vector3(1, 0, 0).applyAxisAngle(up, shotYaw);
+      const miss = new THREE.Vector3(
+        perfect.force.x,
+        perfect.force.y,
+        perfect.force.z,
+      )
+        .sub(shapedForce)
+        .dot(side);
+      shapedForce.addScaledVector(side, miss * this.aimAssist);
+    }
+
+    return { force: shapedForce, spin: shapedSpin };
+  }
+
+  /**
+   * Launches that score from where the ball is now (see utils/shotSolver).
+   * Each `force` is the impulse to apply now, so it allows for the ball
+   * still moving (e.g. bouncing after a reset).
+   * @param {Object} [options] Extra solveShot options, e.g. { angles }
+   * @returns {Array<Object>} One solution per release angle that scores
+   */
+  solveShot(options = {}) {
+    return solveShot({ ...this.getShotProblem(), ...options }).map(
+      (solution) => ({
+        ...solution,
+        force: this.getLaunchImpulse(solution.velocity),
+      }),
+    );
+  }
+
+  /**
+   * The scoring shot released closest to an angle, or null if none scores
+   * @param {number} angle Release angle in degrees above horizontal
+   * @returns {Object|null} A solution as from solveShot
+   */
+  findPerfectShot(angle) {
+    const solution = findShot(this.getShotProblem(), angle);
+    return (
+      solution && {
+        ...solution,
+        force: this.getLaunchImpulse(solution.velocity),
+      }
+    );
+  }
+
+  // Ball, rim and world as the shot solver sees them
+  getShotProblem() {
+    return {
+      position: this.basketball.getBodyPosition(),
+      target: this.hoop.getAimPoint(),
+      gravity: this.level.gravity,
+      mass: this.basketball.getMass(),
+    };
+  }
+
+  /**
+   * The impulse that sends the ball off at a velocity. An impulse adds to
+   * how the ball is already moving, so that is taken off first.
+   * @param {{x: number, y: number, z: number}} velocity Launch velocity in m/s
+   * @returns {THREE.Vector3}
+   */
+  getLaunchImpulse(velocity) {
+    return new THREE.Vector3(velocity.x, velocity.y, velocity.z)
+      .sub(this.basketball.getVelocity())
+      .multiplyScalar(this.basketball.getMass());
+  }
+
+  /**
+   * Launch the ball
+   * @param {THREE.Vector3} force Impulse to apply
+   * @param {THREE.Vector3|null} [spin] Angular velocity (rad/s)
+   */
+  shoot(force, spin = null) {
+    this.basketball.applyForce(force, spin);
+  }
+
+  /**
+   * Where a launch would send the ball from where it is now, stepped exactly
+   * like the physics (same gravity, mass, damping and step). The impulse
+   * adds to the ball's current velocity, as it does in Ammo.
+   * @param {THREE.Vector3} force Impulse that would be applied
+   * @param {THREE.Vector3|null} [spin] Angular velocity (rad/s), or null to keep the ball's
+   * @param {Object} [options] predictFlight options, e.g. { duration, maxBounces }
+   * @returns {{points: Array<Object>, bounces: Array<Object>}}
+   */
+  predictShot(force, spin = null, options = {}) {
+    const { mass, ...ball } = this.basketball.getFlightParameters();
+    const velocity = this.basketball
+      .getVelocity()
+      .addScaledVector(force, 1 / mass);
+    const { angularVelocity } = this.basketball.body;
+    return predictFlight({
+      ...ball,
+      mass,
+      position: this.basketball.getBodyPosition(),
+      velocity: { x: velocity.x, y: velocity.y, z: velocity.z },
+      spin: spin || {
+        x: angularVelocity.x,
+        y: angularVelocity.y,
+        z: angularVelocity.z,
+      },
+      gravity: this.level.gravity,
+      colliders: this.hoop.getColliderShapes(),
+      floorY: this.floorHeight,
+      step: this.fixedTimeStep,
+      ...options,
+    });
+  }
+
+  /**
+   * Where the ball goes from here if nothing else touches it, from its
+   * current position, velocity and spin
+   * @param {Object} [options] predictFlight options, e.g. { duration, maxBounces }
+   * @returns {{points: Array<Object>, bounces: Array<Object>}}
+   */
+  predictBall(options = {}) {
+    return this.predictShot(new THREE.Vector3(), null, options);
+  }
+
+  /**
+   * Put the ball back at rest
+   * @param {{x: number, y: number, z: number}} position
+   */
+  resetBall(position) {
+    this.basketball.reset(position);
+  }
+
+  /**
+   * Whether the ball is dropping through the hoop right now
+   * @returns {boolean}
+   */
+  isBasket() {
+    if (!this.basketball.mesh || !this.hoop.triggerZone) return false;
+
+    // Only count the ball passing through from top to bottom
+    const velocity = this.basketball.getVelocity();
+    return velocity.y < 0 && this.hoop.checkBasket(this.basketball.mesh);
+  }
+
+  // Ammo contact between two bodies; reports the ball's hits. The rim and
+  // backboard share one body, so a contact that slides from one to the
+  // other is reported again when its surface changes.
+  handleCollision({ bodies, event }) {
+    if (!this.basketball) return;
+
+    const other = bodies.find((body) => body !== this.basketball.mesh);
+    if (!other || !bodies.includes(this.basketball.mesh)) return;
+
+    if (event === "end") {
+      this.contacts.delete(other.name);
+      return;
+    }
+
+    const surface = this.getSurface(other);
+    if (!surface || this.contacts.get(other.name) === surface) return;
+
+    this.contacts.set(other.name, surface);
+    this.onBallContact(surface, this.basketball.getImpactSpeed());
+  }
+
+  // Which part of the court the ball is touching on a physics body
+  getSurface(body) {
+    if (body.name === "ground") return "ground";
+    if (body.name !== "hoop") return null;
+
+    // Where on the hoop, from this step's contact point
+    const impact = this.basketball.mesh.body.impact.find(
+      ({ name }) => name === "hoop",
+    );
+    return impact ? this.hoop.getSurfaceAt(impact.point) : null;
+  }
+
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    if (this.basketball) this.basketball.dispose();
+    if (this.hoop) this.hoop.dispose();
+
+    this.physics = null;
+    this.basketball = null;
+    this.hoop = null;
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * Whose turn it is when several players share one device, plus each
+ * player's own state (score, streak, letters).
+ */
+export class TurnManager {
+  constructor(playerCount = 2, options = {}) {
+    this.playerCount = Math.max(1, playerCount);
+    this.computers = options.computers || []; // AIOpponents taking the last seats
+    this.players = [];
+    this.currentIndex = 0;
+
+    this.reset();
+  }
+
+  /**
+   * Fresh players, first player to shoot
+   */
+  reset() {
+    this.players = [];
+    const firstComputer = this.playerCount - this.computers.length;
+    for (let i = 0; i < this.playerCount; i++) {
+      const computer = this.computers[i - firstComputer] || null;
+      this.players.push({
+        name: computer ? computer.getName() : `Player ${i + 1}`,
+        computer, // AIOpponent that shoots for this player, or null for a person
+        score: 0,
+        streak: 0,
+        isOnFire: false,
+        letters: "", // Letters earned so far, e.g. "HO"
+        isOut: false,
+      });
+    }
+    this.currentIndex = 0;
+  }
+
+  /**
+   * The player whose turn it is
+   * @returns {Object}
+   */
+  getCurrentPlayer() {
+    return this.players[this.currentIndex];
+  }
+
+  /**
+   * Hand the turn to a player
+   * @param {number} index Player index
+   */
+  setCurrent(index) {
+    this.currentIndex = index;
+  }
+
+  /**
+   * Players still in the game
+   * @returns {Object[]}
+   */
+  getActivePlayers() {
+    return this.players.filter((player) => !player.isOut);
+  }
+
+  /**
+   * Index of the next player still in the game after `index` (wrapping)
+   * @param {number} index Player index to start from
+   * @returns {number}
+   */
+  getNextActiveIndex(index) {
+    for (let step = 1; step <= this.players.length; step++) {
+      const next = (index + step) % this.players.length;
+      if (!this.players[next].isOut) return next;
+    }
+    return index;
+  }
+
+  /**
+   * Indices of the other players still in the game, in turn order after `index`
+   * @param {number} index Player index to start from
+   * @returns {number[]}
+   */
+  getOtherActiveIndices(index) {
+    const others = [];
+    for (let step = 1; step < this.players.length; step++) {
+      const next = (index + step) % this.players.length;
+      if (!this.players[next].isOut) others.push(next);
+    }
+    return others;
+  }
+}
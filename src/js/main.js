@@ -1,7 +1,11 @@
 import { Game } from "./game/Game.js";
+import { loadLevelFromQuery } from "./game/LevelConfig.js";
 
 // Initialize the game
-document.addEventListener("DOMContentLoaded", () => {
-  const game = new Game();
+document.addEventListener("DOMContentLoaded", async () => {
+  // Pick the court from ?level=<name> (public/levels/<name>.json)
+  const level = await loadLevelFromQuery(window.location.search);
+
+  const game = new Game({ level });
   game.init();
 });
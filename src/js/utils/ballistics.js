@@ -0,0 +1,210 @@
+/**
+ * Plain-object ballistics shared by the browser and the Node server (no
+ * three.js, so it runs anywhere). Vectors are { x, y, z }.
+ */
+
+/**
+ * Step a ball through the air under gravity and linear damping, the way
+ * Bullet integrates it (no collisions)
+ * @param {Object} options
+ * @param {{x: number, y: number, z: number}} options.position Start position
+ * @param {{x: number, y: number, z: number}} options.velocity Launch velocity in m/s
+ * @param {{x: number, y: number, z: number}} options.gravity Gravity in m/s²
+ * @param {number} [options.linearDamping] Fraction of velocity lost per second
+ * @param {number} [options.step] Seconds per step
+ * @param {number} [options.duration] Seconds to simulate
+ * @returns {Array<{x: number, y: number, z: number}>} Position after each step
+ */
+export function simulateTrajectory({
+  position,
+  velocity,
+  gravity,
+  linearDamping = 0,
+  step = 1 / 60,
+  duration = 3,
+}) {
+  const points = [];
+  const p = { ...position };
+  const v = { ...velocity };
+
+  // Bullet applies damping as v *= (1 - d)^dt each step
+  const damping = Math.pow(1 - linearDamping, step);
+
+  const steps = Math.ceil(duration / step);
+  for (let i = 0; i < steps; i++) {
+    v.x = (v.x + gravity.x * step) * damping;
+    v.y = (v.y + gravity.y * step) * damping;
+    v.z = (v.z + gravity.z * step) * damping;
+
+    p.x += v.x * step;
+    p.y += v.y * step;
+    p.z += v.z * step;
+    points.push({ ...p });
+  }
+
+  return points;
+}
+
+/**
+ * Smallest distance between a path and a target point
+ * @param {Array<{x: number, y: number, z: number}>} points Path positions
+ * @param {{x: number, y: number, z: number}} target
+ * @returns {number} Distance in metres (Infinity for an empty path)
+ */
+export function closestApproach(points, target) {
+  let closest = Infinity;
+  points.forEach((point) => {
+    const dx = point.x - target.x;
+    const dy = point.y - target.y;
+    const dz = point.z - target.z;
+    closest = Math.min(closest, Math.sqrt(dx * dx + dy * dy + dz * dz));
+  });
+  return closest;
+}
+
+/**
+ * Predict a shot the way the physics step moves it, including bounces off
+ * simple colliders. Contacts use Bullet's rule of multiplying the two
+ * restitutions; friction and spin changes at contact are ignored.
+ * @param {Object} options
+ * @param {{x: number, y: number, z: number}} options.position Start position
+ * @param {{x: number, y: number, z: number}} options.velocity Launch velocity in m/s
+ * @param {{x: number, y: number, z: number}} options.gravity Gravity in m/s²
+ * @param {number} options.radius Ball radius
+ * @param {number} [options.linearDamping] Fraction of velocity lost per second
+ * @param {number} [options.restitution] Ball restitution
+ * @param {{x: number, y: number, z: number}|null} [options.spin] Angular velocity in rad/s
+ * @param {number} [options.magnusCoefficient] Magnus lift per (rad/s * m/s), in N
+ * @param {number} [options.mass] Ball mass in kg (for the Magnus force)
+ * @param {Array<Object>} [options.colliders] { name, type: "sphere", center, radius, restitution }
+ *   or { name, type: "box", center, halfSize, restitution } (axis-aligned)
+ * @param {Function|null} [options.colliderOffset] For colliders that move
+ *   together (a moving hoop): called with the seconds since launch, returns
+ *   how far they are from their `center` then
+ * @param {number} [options.floorY] Floor height; the path ends when the ball lands
+ * @param {number} [options.maxBounces] Bounces to follow; the path ends at the next contact
+ * @param {number} [options.step] Seconds per step
+ * @param {number} [options.duration] Seconds to predict
+ * @returns {{points: Array<{x: number, y: number, z: number}>, bounces: Array<{name: string, index: number}>}}
+ *   Position after each step, and each contact with the index of its point
+ */
+export function predictFlight({
+  position,
+  velocity,
+  gravity,
+  radius,
+  linearDamping = 0,
+  restitution = 0,
+  spin = null,
+  magnusCoefficient = 0,
+  mass = 1,
+  colliders = [],
+  colliderOffset = null,
+  floorY = -Infinity,
+  maxBounces = 1,
+  step = 1 / 60,
+  duration = 3,
+}) {
+  const points = [];
+  const bounces = [];
+  const p = { ...position };
+  const v = { ...velocity };
+  const damping = Math.pow(1 - linearDamping, step);
+  const liftPerMass = spin ? magnusCoefficient / mass : 0;
+  let lift = { x: 0, y: 0, z: 0 }; // Magnus acceleration for the next step
+
+  const steps = Math.ceil(duration / step);
+  for (let i = 0; i < steps; i++) {
+    v.x = (v.x + (gravity.x + lift.x) * step) * damping;
+    v.y = (v.y + (gravity.y + lift.y) * step) * damping;
+    v.z = (v.z + (gravity.z + lift.z) * step) * damping;
+
+    p.x += v.x * step;
+    p.y += v.y * step;
+    p.z += v.z * step;
+
+    // Basketball.update adds the Magnus lift (spin x velocity) after each
+    // step, so it acts from the next one
+    if (spin) {
+      lift = {
+        x: liftPerMass * (spin.y * v.z - spin.z * v.y),
+        y: liftPerMass * (spin.z * v.x - spin.x * v.z),
+        z: liftPerMass * (spin.x * v.y - spin.y * v.x),
+      };
+    }
+
+    // Landed: end the path on the floor
+    if (p.y - radius <= floorY) {
+      points.push({ ...p, y: floorY + radius });
+      break;
+    }
+
+    // Moving colliders: look for contacts relative to where they are now
+    let local = p;
+    if (colliderOffset) {
+      const offset = colliderOffset((i + 1) * step);
+      local = { x: p.x - offset.x, y: p.y - offset.y, z: p.z - offset.z };
+    }
+
+    const contact = findContact(local, v, radius, colliders);
+    if (contact) {
+      bounces.push({ name: contact.collider.name, index: points.length });
+      if (bounces.length > maxBounces) {
+        points.push({ ...p });
+        break;
+      }
+
+      // Push the ball back out and reflect the velocity along the normal
+      const { normal, depth, collider } = contact;
+      p.x += normal.x * depth;
+      p.y += normal.y * depth;
+      p.z += normal.z * depth;
+
+      const e = restitution * (collider.restitution || 0);
+      const into = (1 + e) * (v.x * normal.x + v.y * normal.y + v.z * normal.z);
+      v.x -= into * normal.x;
+      v.y -= into * normal.y;
+      v.z -= into * normal.z;
+    }
+
+    points.push({ ...p });
+  }
+
+  return { points, bounces };
+}
+
+// First collider the ball overlaps while moving into it
+function findContact(p, v, radius, colliders) {
+  for (const collider of colliders) {
+    // Closest point of the collider to the ball's centre
+    let closest;
+    let reach = radius;
+    if (collider.type === "sphere") {
+      closest = collider.center;
+      reach += collider.radius;
+    } else {
+      const { center, halfSize } = collider;
+      closest = {
+        x: clamp(p.x, center.x - halfSize.x, center.x + halfSize.x),
+        y: clamp(p.y, center.y - halfSize.y, center.y + halfSize.y),
+        z: clamp(p.z, center.z - halfSize.z, center.z + halfSize.z),
+      };
+    }
+
+    const dx = p.x - closest.x;
+    const dy = p.y - closest.y;
+    const dz = p.z - closest.z;
+    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    if (distance >= reach || distance === 0) continue;
+
+    const normal = { x: dx / distance, y: dy / distance, z: dz / distance };
+    if (v.x * normal.x + v.y * normal.y + v.z * normal.z >= 0) continue;
+
+    return { collider, normal, depth: reach - distance };
+  }
+  return null;
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
@@ -38,6 +38,24 @@ export function lerp(a, b, t) {
   return a + (b - a) * t;
 }
 
+/**
+ * Rough check for devices that struggle with extra simulation work
+ * (few CPU cores, little memory, or a reduced-motion preference)
+ * @returns {boolean} True if the device should use cheaper effects
+ */
+export function isLowEndDevice() {
+  if (typeof navigator === "undefined") return false;
+
+  const cores = navigator.hardwareConcurrency || 4;
+  const memory = navigator.deviceMemory || 4; // GB, Chromium only
+  const reducedMotion =
+    typeof window !== "undefined" &&
+    window.matchMedia &&
+    window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+
+  return cores <= 2 || memory <= 2 || reducedMotion;
+}
+
 /**
  * Get a random number between min and max (inclusive)
  * @param {number} min - Minimum value
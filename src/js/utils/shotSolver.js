@@ -0,0 +1,108 @@
+/**
+ * Shot solver: the launch forces that put the ball through the hoop from a
+ * given spot. Plain objects and no three.js, like ballistics.js, so the
+ * browser, bots and tests can all use it. Vectors are { x, y, z }.
+ *
+ * Flights are solved analytically (gravity only, no spin or drag), which is
+ * what the ball does between leaving the hand and reaching the rim.
+ */
+
+// Release angles tried by default, in degrees above horizontal
+const DEFAULT_ANGLES = [40, 45, 50, 55, 60, 65, 70];
+
+/**
+ * Every sampled release angle that scores, lowest angle first
+ * @param {Object} options
+ * @param {{x: number, y: number, z: number}} options.position Ball position at release
+ * @param {{x: number, y: number, z: number}} options.target Rim centre
+ * @param {{x: number, y: number, z: number}} options.gravity Gravity in m/s² (only y is used)
+ * @param {number} options.mass Mass of the ball's physics body in kg
+ * @param {number[]} [options.angles] Release angles to sample, in degrees
+ * @param {number} [options.minEntryAngle] Steepest drop (degrees below horizontal) the rim needs
+ * @returns {Array<{angle: number, velocity: Object, force: Object, flightTime: number, entryAngle: number}>}
+ */
+export function solveShot({
+  position,
+  target,
+  gravity,
+  mass,
+  angles = DEFAULT_ANGLES,
+  minEntryAngle = 30,
+}) {
+  const g = -gravity.y;
+  const dx = target.x - position.x;
+  const dz = target.z - position.z;
+  const distance = Math.sqrt(dx * dx + dz * dz); // Along the floor
+  const rise = target.y - position.y;
+
+  // Straight up or down, or no gravity to bring the ball back: no arc to solve
+  if (distance < 0.01 || g <= 0) return [];
+
+  const solutions = [];
+  angles.forEach((angle) => {
+    const theta = (angle * Math.PI) / 180;
+
+    // The line of the release has to pass above the rim
+    const drop = distance * Math.tan(theta) - rise;
+    if (drop <= 0) return;
+
+    // Speed that lands the arc exactly on the target
+    const cos = Math.cos(theta);
+    const speed = Math.sqrt((g * distance * distance) / (2 * cos * cos * drop));
+    const horizontal = speed * cos;
+    const vertical = speed * Math.sin(theta);
+    const flightTime = distance / horizontal;
+
+    // The ball must be coming down steeply enough to drop through the rim
+    const entryVertical = vertical - g * flightTime;
+    const entryAngle = (Math.atan2(-entryVertical, horizontal) * 180) / Math.PI;
+    if (entryAngle < minEntryAngle) return;
+
+    const velocity = {
+      x: (dx / distance) * horizontal,
+      y: vertical,
+      z: (dz / distance) * horizontal,
+    };
+    solutions.push({
+      angle,
+      velocity,
+      force: {
+        x: velocity.x * mass,
+        y: velocity.y * mass,
+        z: velocity.z * mass,
+      },
+      flightTime,
+      entryAngle,
+    });
+  });
+
+  return solutions;
+}
+
+/**
+ * The scoring shot whose release angle is closest to the one asked for
+ * @param {Object} options Same as solveShot
+ * @param {number} angle Wanted release angle in degrees
+ * @returns {Object|null} A solution from solveShot, or null if none score
+ */
+export function findShot(options, angle) {
+  let best = null;
+  solveShot(options).forEach((solution) => {
+    if (
+      !best ||
+      Math.abs(solution.angle - angle) < Math.abs(best.angle - angle)
+    ) {
+      best = solution;
+    }
+  });
+  return best;
+}
+
+/**
+ * Release angle of a launch vector, in degrees above horizontal
+ * @param {{x: number, y: number, z: number}} v
+ * @returns {number}
+ */
+export function getReleaseAngle(v) {
+  return (Math.atan2(v.y, Math.sqrt(v.x * v.x + v.z * v.z)) * 180) / Math.PI;
+}
@@ -0,0 +1,79 @@
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+import { AIOpponent } from "../src/js/game/AIOpponent.js";
+import { createSimulation, runShot } from "./headless.js";
+
+// Repeatable stand-in for Math.random (Park-Miller)
+function seededRandom(seed) {
+  return () => {
+    seed = (seed * 16807) % 2147483647;
+    return (seed - 1) / 2147483646;
+  };
+}
+
+// The spawn point plus both wings and a close-in spot
+const SPOTS = [
+  { x: 0, y: 1.5, z: 2 },
+  { x: -3.4, y: 1.5, z: -1.4 },
+  { x: 0, y: 1.5, z: 1 },
+  { x: 3.4, y: 1.5, z: -1.4 },
+];
+
+describe("AIOpponent", () => {
+  let simulation;
+
+  before(async () => {
+    simulation = await createSimulation();
+  });
+
+  // Shots from each spot in turn, taken `settle` seconds after the reset
+  function countMakes(skill, shots, settle = 0) {
+    const ai = new AIOpponent({ skill, random: seededRandom(1) });
+    let makes = 0;
+    for (let i = 0; i < shots; i++) {
+      const position = SPOTS[i % SPOTS.length];
+      const aim = () => ai.aimShot(simulation);
+      if (runShot(simulation, { aim, position, settle }).made) makes++;
+    }
+    return makes;
+  }
+
+  it("throws the solved shot when it has no error", () => {
+    const ai = new AIOpponent({ random: () => 0.5 });
+    ai.config = { ...ai.config, speedError: 0, aimError: 0, angleError: 0 };
+
+    simulation.resetBall(SPOTS[0]);
+    const impulse = ai.aimShot(simulation);
+    const perfect = simulation.findPerfectShot(ai.releaseAngle).force;
+    assert.ok(Math.abs(impulse.x - perfect.x) < 1e-9);
+    assert.ok(Math.abs(impulse.y - perfect.y) < 1e-9);
+    assert.ok(Math.abs(impulse.z - perfect.z) < 1e-9);
+  });
+
+  it("makes more shots the more skilled it is", () => {
+    const rookie = countMakes("rookie", 40);
+    const pro = countMakes("pro", 40);
+    const legend = countMakes("legend", 40);
+
+    assert.ok(rookie < pro, `rookie ${rookie} vs pro ${pro}`);
+    assert.ok(pro < legend, `pro ${pro} vs legend ${legend}`);
+    assert.ok(legend >= 32, `legend made ${legend}/40`);
+  });
+
+  it("shoots as well after its think time, with the ball still bouncing", () => {
+    for (const skill of ["rookie", "pro", "legend"]) {
+      const ai = new AIOpponent({ skill });
+      const atRest = countMakes(skill, 40);
+      const afterThinking = countMakes(skill, 40, ai.getThinkTime() / 1000);
+      assert.ok(
+        afterThinking >= atRest - 4,
+        `${skill} made ${afterThinking}/40 after thinking, ${atRest}/40 from rest`,
+      );
+    }
+  });
+
+  it("is named after its skill and falls back to pro", () => {
+    assert.equal(new AIOpponent({ skill: "rookie" }).getName(), "Rookie CPU");
+    assert.equal(new AIOpponent({ skill: "nope" }).getName(), "Pro CPU");
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+import { CameraDirector } from "../src/js/game/CameraDirector.js";
+
+// Default court: shooter's camera behind the spawn, rim 7 m away
+const SHOOTING_POSITION = new THREE.Vector3(0, 2.5, 6);
+const SHOOTING_TARGET = new THREE.Vector3(0, 2, -2);
+const RIM = new THREE.Vector3(0, 3.05, -5);
+
+// Run the director for a while at 60 fps
+function run(director, seconds, ball, rim = RIM) {
+  for (let t = 0; t < seconds; t += 1 / 60) {
+    director.update(1 / 60, ball, rim);
+  }
+}
+
+describe("CameraDirector", () => {
+  let camera;
+  let director;
+
+  beforeEach(() => {
+    camera = new THREE.PerspectiveCamera(75, 16 / 9, 0.1, 1000);
+    director = new CameraDirector(camera);
+    director.setShootingView(SHOOTING_POSITION, SHOOTING_TARGET, true);
+  });
+
+  it("snaps to the shooting view and holds it", () => {
+    run(director, 1, new THREE.Vector3(0, 1.5, 2));
+    assert.ok(camera.position.distanceTo(SHOOTING_POSITION) < 1e-9);
+  });
+
+  it("follows the ball from behind and pushes in near the rim", () => {
+    const ball = new THREE.Vector3(0, 3, -1);
+    director.follow();
+    run(director, 1, ball);
+
+    assert.equal(director.mode, "follow");
+    assert.ok(camera.position.z > ball.z); // Behind the ball
+    assert.ok(camera.position.y > ball.y); // Above it
+
+    ball.set(0, 3.5, -4);
+    run(director, 1, ball);
+
+    assert.equal(director.mode, "rim");
+    assert.ok(camera.position.distanceTo(RIM) < 3);
+  });
+
+  it("orbits the rim after a make and blends back on reset", () => {
+    const ball = RIM.clone();
+    director.follow();
+    run(director, 1, ball);
+    director.celebrate(RIM);
+
+    const start = Math.atan2(camera.position.x, camera.position.z - RIM.z);
+    run(director, 1, ball);
+    const end = Math.atan2(camera.position.x, camera.position.z - RIM.z);
+    assert.ok(end - start > 0.2); // Swung round the hoop
+
+    director.returnToShooter();
+    run(director, 0.1, ball);
+    assert.ok(camera.position.distanceTo(SHOOTING_POSITION) > 0.5); // Easing, not jumping
+    run(director, 2, ball);
+    assert.ok(camera.position.distanceTo(SHOOTING_POSITION) < 0.01);
+  });
+
+  it("leaves the projection alone so resizing works in any mode", () => {
+    director.follow();
+    run(director, 0.5, new THREE.Vector3(0, 3, -1));
+
+    camera.aspect = 1;
+    camera.updateProjectionMatrix();
+    run(director, 0.5, new THREE.Vector3(0, 3, -1));
+
+    assert.equal(camera.aspect, 1);
+    assert.equal(camera.fov, 75);
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { CollisionTracker } from "../src/js/game/CollisionTracker.js";
+
+describe("CollisionTracker", () => {
+  let tracker;
+
+  beforeEach(() => {
+    tracker = new CollisionTracker();
+    tracker.begin();
+  });
+
+  it("calls a make that touched nothing a swish", () => {
+    const shot = tracker.classifyMake();
+    assert.equal(shot.type, "swish");
+    assert.equal(shot.total, 3);
+  });
+
+  it("counts the backboard as a bank shot even after the rim", () => {
+    tracker.record("rim");
+    tracker.record("backboard");
+    assert.equal(tracker.classifyMake().type, "bank");
+  });
+
+  it("gives no bonus to a make that bounced off the floor", () => {
+    tracker.record("ground");
+    const shot = tracker.classifyMake();
+    assert.equal(shot.type, "off-the-floor");
+    assert.equal(shot.bonus, 0);
+
+    tracker.record("backboard");
+    assert.equal(tracker.classifyMake().type, "off-the-floor");
+  });
+
+  it("forgets the last shot on begin", () => {
+    tracker.record("ground");
+    tracker.begin();
+    assert.deepEqual(tracker.touched, []);
+    assert.equal(tracker.classifyMake().type, "swish");
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { ControllerInput } from "../src/js/game/ControllerInput.js";
+
+function press(target, type, key) {
+  target.dispatchEvent(Object.assign(new Event(type), { key }));
+}
+
+describe("ControllerInput", () => {
+  let target;
+  let swipes;
+  let input;
+
+  beforeEach(() => {
+    target = new EventTarget();
+    swipes = [];
+    input = new ControllerInput({
+      target,
+      strength: 4,
+      chargeTime: 1,
+      onSwipe: (force, isPreview, spin) =>
+        swipes.push({ force, isPreview, spin }),
+    });
+  });
+
+  it("charges while Space is held and shoots on release", () => {
+    press(target, "keydown", " ");
+    input.update(0); // Starts charging
+    input.update(0.5);
+    assert.ok(Math.abs(input.getCharge() - 0.5) < 1e-9);
+    assert.ok(swipes.every(({ isPreview }) => isPreview));
+
+    press(target, "keyup", " ");
+    input.update(0.016);
+
+    const shot = swipes[swipes.length - 1];
+    assert.equal(shot.isPreview, false);
+    assert.ok(shot.spin.x > 0); // Backspin
+    assert.equal(input.isCharging, false);
+  });
+
+  it("sweeps the meter back down after it fills", () => {
+    press(target, "keydown", " ");
+    input.update(0);
+    input.update(1.25);
+    assert.ok(Math.abs(input.getCharge() - 0.75) < 1e-9);
+  });
+
+  it("shoots harder with more charge", () => {
+    const soft = input.calculateForce();
+    input.isCharging = true;
+    input.chargeTimer = 1;
+    const hard = input.calculateForce();
+
+    assert.ok(hard.length() > soft.length());
+    assert.ok(soft.z < 0 && soft.y > 0);
+  });
+
+  it("aims with the arrow keys and previews the change", () => {
+    press(target, "keydown", "ArrowRight");
+    press(target, "keydown", "ArrowUp");
+    const arc = input.arc;
+    input.update(0.5);
+    press(target, "keyup", "ArrowRight");
+    press(target, "keyup", "ArrowUp");
+
+    assert.ok(input.aim > 0);
+    assert.ok(input.arc > arc);
+    assert.ok(input.calculateForce().x > 0);
+    assert.equal(swipes.length, 1);
+    assert.equal(swipes[0].isPreview, true);
+
+    // Nothing held: no more previews
+    input.update(0.5);
+    assert.equal(swipes.length, 1);
+  });
+
+  it("drops a charge without shooting when cancelled", () => {
+    press(target, "keydown", " ");
+    input.update(0);
+    input.cancel();
+    input.update(0.1);
+    assert.ok(swipes.every(({ isPreview }) => isPreview));
+  });
+});
@@ -0,0 +1,134 @@
+import { readFile } from "node:fs/promises";
+import { createRequire } from "node:module";
+import { fileURLToPath } from "node:url";
+import * as THREE from "three";
+import { Simulation } from "../src/js/game/Simulation.js";
+import { CollisionTracker } from "../src/js/game/CollisionTracker.js";
+import { createLevel } from "../src/js/game/LevelConfig.js";
+
+/**
+ * Headless harness: runs the game's Simulation in Node against the Ammo
+ * wasm in lib/, with no DOM or WebGL.
+ */
+
+const AMMO_JS = new URL("../lib/ammo.wasm.js", import.meta.url);
+const AMMO_WASM = new URL("../lib/ammo.wasm.wasm", import.meta.url);
+
+let ammoReady = null;
+
+/**
+ * Load Ammo once and expose it as the global `Ammo` (what enable3d expects)
+ * @returns {Promise<Object>}
+ */
+export function loadAmmo() {
+  if (!ammoReady) {
+    ammoReady = (async () => {
+      // lib/ammo.wasm.js is a CommonJS/UMD script; evaluate it with the
+      // Node globals it looks for and hand it the wasm bytes directly
+      const source = await readFile(AMMO_JS, "utf8");
+      const wasmBinary = await readFile(AMMO_WASM);
+      const factory = new Function(
+        "require",
+        "__dirname",
+        "__filename",
+        `${source}\nreturn Ammo;`,
+      )(
+        createRequire(import.meta.url),
+        fileURLToPath(new URL(".", AMMO_JS)),
+        fileURLToPath(AMMO_JS),
+      );
+
+      // The module is a thenable that resolves to itself; drop `then` so it
+      // can be awaited without looping forever
+      const ammo = await new Promise((resolve) => {
+        factory({ wasmBinary }).then((module) => {
+          delete module.then;
+          resolve(module);
+        });
+      });
+
+      globalThis.Ammo = ammo;
+      return ammo;
+    })();
+  }
+  return ammoReady;
+}
+
+/**
+ * Build a fresh court to shoot on
+ * @param {Object} [levelOverrides] Level values that differ from the default
+ * @returns {Promise<Simulation>}
+ */
+export async function createSimulation(levelOverrides = {}) {
+  await loadAmmo();
+
+  const tracker = new CollisionTracker();
+  const simulation = new Simulation(new THREE.Scene(), {
+    level: createLevel(levelOverrides),
+    onBallContact: (surface) => tracker.record(surface),
+  });
+  simulation.init();
+  simulation.collisionTracker = tracker;
+
+  return simulation;
+}
+
+/**
+ * Take one shot the way Game does and report what happened
+ * @param {Simulation} simulation
+ * @param {Object} shot
+ * @param {{x: number, y: number, z: number}} [shot.force] Swipe force (before shaping)
+ * @param {{x: number, y: number, z: number}} [shot.impulse] Impulse to launch with as is, instead of a swipe
+ * @param {Function} [shot.aim] Picks the impulse once the ball has settled, e.g.
+ *   (simulation) => simulation.findPerfectShot(55).force
+ * @param {{x: number, y: number, z: number}} [shot.position] Where to shoot from (default: the level spawn)
+ * @param {{x: number, y: number, z: number}} [shot.spin] Swipe spin (rad/s)
+ * @param {number} [shot.settle] Seconds to let the ball settle before shooting
+ * @param {number} [shot.duration] Seconds to follow the shot
+ * @returns {{made: boolean, type: string|null, touched: string[]}}
+ */
+export function runShot(
+  simulation,
+  {
+    force,
+    impulse = null,
+    aim = null,
+    spin = null,
+    position = simulation.level.ball.spawn,
+    settle = 0,
+    duration = 3,
+  },
+) {
+  const { fixedTimeStep } = simulation;
+  const tracker = simulation.collisionTracker;
+
+  // Start at rest from the shooting spot (the ground is fully bouncy, so the
+  // ball never quite settles; shooting straight away keeps runs exact)
+  simulation.resetBall(position);
+  for (let t = 0; t < settle; t += fixedTimeStep) simulation.step();
+
+  // Shape and launch exactly as Game.handleSwipe does
+  const toVector = (v) => (v ? new THREE.Vector3(v.x, v.y, v.z) : null);
+  if (aim) {
+    simulation.shoot(toVector(aim(simulation)), toVector(spin));
+  } else if (impulse) {
+    simulation.shoot(toVector(impulse), toVector(spin));
+  } else {
+    const shaped = simulation.shapeShot(toVector(force), toVector(spin));
+    simulation.shoot(shaped.force, shaped.spin);
+  }
+  tracker.begin();
+
+  for (let t = 0; t < duration; t += fixedTimeStep) {
+    simulation.step();
+    if (simulation.isBasket()) {
+      return {
+        made: true,
+        type: tracker.classifyMake().type,
+        touched: [...tracker.touched],
+      };
+    }
+  }
+
+  return { made: false, type: null, touched: [...tracker.touched] };
+}
@@ -0,0 +1,55 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { HorseMode } from "../src/js/game/HorseMode.js";
+
+const SPOTS = ["Left corner", "Top of the key", "Right corner"].map(
+  (name, index) => ({ name, position: { x: index - 1, y: 1, z: 0 } }),
+);
+
+// Shoot once for the current player and pass the ball on
+function shoot(mode, made) {
+  mode.recordShot({});
+  mode.recordResult(made);
+  mode.advanceTurn();
+}
+
+describe("HorseMode", () => {
+  let mode;
+
+  beforeEach(() => {
+    mode = new HorseMode({ players: 2, spots: SPOTS });
+    mode.start();
+  });
+
+  it("lets the setter pick the spot before shooting", () => {
+    assert.equal(mode.canChooseSpot(), true);
+    assert.equal(mode.chooseSpot(2), true);
+    assert.equal(mode.getCurrentSpot().name, "Right corner");
+    assert.deepEqual(mode.getSpawnPosition(), SPOTS[2].position);
+  });
+
+  it("ignores spots that do not exist", () => {
+    assert.equal(mode.chooseSpot(3), false);
+    assert.equal(mode.getCurrentSpot().name, "Left corner");
+  });
+
+  it("makes challengers match from the setter's spot", () => {
+    mode.chooseSpot(1);
+    shoot(mode, true);
+
+    assert.equal(mode.getCurrentPlayer(), mode.getPlayers()[1]);
+    assert.equal(mode.canChooseSpot(), false);
+    assert.equal(mode.chooseSpot(0), false);
+    assert.equal(mode.getCurrentSpot().name, "Top of the key");
+  });
+
+  it("offers the next spot to a new setter until they pick one", () => {
+    mode.chooseSpot(2);
+    shoot(mode, false);
+
+    assert.equal(mode.getCurrentPlayer(), mode.getPlayers()[1]);
+    assert.equal(mode.isSpotChosen, false);
+    assert.equal(mode.getCurrentSpot().name, "Left corner");
+    assert.equal(mode.chooseSpot(1), true);
+  });
+});
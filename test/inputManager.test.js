@@ -0,0 +1,149 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { InputManager } from "../src/js/game/InputManager.js";
+
+// Stand-in for the canvas: an event target that tracks pointer capture
+class FakeElement extends EventTarget {
+  constructor() {
+    super();
+    this.captured = new Set();
+  }
+
+  setPointerCapture(pointerId) {
+    this.captured.add(pointerId);
+  }
+
+  hasPointerCapture(pointerId) {
+    return this.captured.has(pointerId);
+  }
+
+  releasePointerCapture(pointerId) {
+    this.captured.delete(pointerId);
+  }
+}
+
+function pointer(target, type, options = {}) {
+  const event = new Event(type, { cancelable: true });
+  target.dispatchEvent(
+    Object.assign(event, {
+      pointerId: 1,
+      pointerType: "touch",
+      isPrimary: true,
+      button: 0,
+      clientX: 0,
+      clientY: 0,
+      ...options,
+    }),
+  );
+}
+
+describe("InputManager", () => {
+  let element;
+  let swipes;
+  let cancels;
+  let input;
+
+  beforeEach(() => {
+    globalThis.window = new EventTarget();
+    globalThis.document = Object.assign(new EventTarget(), {
+      visibilityState: "visible",
+    });
+
+    element = new FakeElement();
+    swipes = [];
+    cancels = 0;
+    input = new InputManager({
+      element,
+      strength: 4,
+      showTrajectory: true,
+      onSwipe: (force, isPreview, spin) =>
+        swipes.push({ force, isPreview, spin }),
+      onCancel: () => cancels++,
+    });
+  });
+
+  afterEach(() => {
+    input.dispose();
+    delete globalThis.window;
+    delete globalThis.document;
+  });
+
+  it("captures the pointer and shoots on release", () => {
+    pointer(element, "pointerdown", { clientX: 100, clientY: 300 });
+    assert.ok(element.hasPointerCapture(1));
+
+    pointer(element, "pointermove", { clientX: 100, clientY: 200 });
+    pointer(element, "pointerup", { clientX: 100, clientY: 100 });
+
+    assert.equal(swipes.length, 2);
+    assert.equal(swipes[0].isPreview, true);
+    assert.equal(swipes[1].isPreview, false);
+    assert.ok(swipes[1].force.y > 0);
+    assert.equal(input.isSwiping, false);
+    assert.equal(element.hasPointerCapture(1), false);
+  });
+
+  it("ignores a second finger during a swipe", () => {
+    pointer(element, "pointerdown", { clientX: 100, clientY: 300 });
+    pointer(element, "pointerdown", { pointerId: 2, isPrimary: false });
+    pointer(element, "pointermove", { pointerId: 2, clientX: 400 });
+    pointer(element, "pointerup", { pointerId: 2, clientX: 400 });
+
+    assert.equal(input.isSwiping, true);
+    assert.equal(swipes.length, 0);
+    assert.equal(element.hasPointerCapture(2), false);
+
+    pointer(element, "pointerup", { clientX: 100, clientY: 100 });
+    assert.equal(swipes.length, 1);
+    assert.equal(swipes[0].force.x, 0);
+  });
+
+  it("only lets the primary pointer start a swipe unless told otherwise", () => {
+    pointer(element, "pointerdown", { isPrimary: false });
+    assert.equal(input.isSwiping, false);
+
+    input.primaryOnly = false;
+    pointer(element, "pointerdown", { isPrimary: false });
+    assert.equal(input.isSwiping, true);
+  });
+
+  it("cancels the swipe and hides the preview on pointercancel", () => {
+    pointer(element, "pointerdown", { clientX: 100, clientY: 300 });
+    input.updateTrajectoryLine([{ x: 0, y: 1, z: 0 }]);
+
+    pointer(element, "pointercancel");
+
+    assert.equal(input.isSwiping, false);
+    assert.equal(input.getTrajectoryLine().visible, false);
+    assert.equal(cancels, 1);
+
+    // The release that never came doesn't shoot later
+    pointer(element, "pointerup", { clientX: 100, clientY: 100 });
+    assert.equal(swipes.length, 0);
+  });
+
+  it("moves to a new element without keeping the old one's swipe", () => {
+    pointer(element, "pointerdown");
+
+    const replacement = new FakeElement();
+    input.setElement(replacement);
+    assert.equal(input.isSwiping, false);
+
+    pointer(element, "pointerdown");
+    assert.equal(input.isSwiping, false);
+    pointer(replacement, "pointerdown");
+    assert.equal(input.isSwiping, true);
+  });
+
+  it("cancels the swipe when the window loses focus or the page is hidden", () => {
+    pointer(element, "pointerdown");
+    window.dispatchEvent(new Event("blur"));
+    assert.equal(input.isSwiping, false);
+
+    pointer(element, "pointerdown");
+    document.visibilityState = "hidden";
+    document.dispatchEvent(new Event("visibilitychange"));
+    assert.equal(input.isSwiping, false);
+    assert.equal(cancels, 2);
+  });
+});
@@ -0,0 +1,150 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import { MatchServer } from "../server/MatchServer.js";
+import { findShot } from "../src/js/utils/shotSolver.js";
+
+// Stand-in for a ws WebSocket that keeps what the server sends
+class FakeSocket extends EventEmitter {
+  constructor() {
+    super();
+    this.OPEN = 1;
+    this.readyState = this.OPEN;
+    this.sent = [];
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.readyState = 3;
+    this.emit("close");
+  }
+
+  receive(message) {
+    this.emit("message", JSON.stringify(message));
+  }
+
+  last(type) {
+    return this.sent.filter((message) => message.type === type).pop();
+  }
+}
+
+const SPAWN = { x: 0, y: 1.5, z: 2 };
+const AT_REST = { x: 0, y: 0, z: 0 };
+
+// A swish and an airball from the default level's spawn
+const MAKE = findShot(
+  {
+    position: SPAWN,
+    target: { x: 0, y: 3.05, z: -4.95 },
+    gravity: { x: 0, y: -12, z: 0 },
+    mass: 0.48,
+  },
+  55,
+).force;
+const MISS = { x: 0, y: 1, z: -1 };
+
+describe("MatchServer", () => {
+  let now;
+  let server;
+  let a;
+  let b;
+  let playerA; // The server's state for a
+
+  // Shoot and report the result, a second later than the last shot
+  function shoot(socket, shotId, force, made) {
+    now += 1000;
+    socket.receive({
+      type: "shot",
+      shotId,
+      position: SPAWN,
+      velocity: AT_REST,
+      force,
+    });
+    socket.receive({ type: "result", shotId, made });
+  }
+
+  beforeEach(async () => {
+    now = 0;
+    mock.method(Date, "now", () => now);
+
+    server = new MatchServer({ target: 2 });
+    a = new FakeSocket();
+    b = new FakeSocket();
+    server.handleConnection(a);
+    server.handleConnection(b);
+
+    // The first to join waits for the second
+    a.receive({ type: "join", level: "default" });
+    await new Promise((resolve) => setImmediate(resolve));
+    playerA = server.waiting.get("default");
+    b.receive({ type: "join", level: "default" });
+    await new Promise((resolve) => setImmediate(resolve));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("pairs two players on the same level", () => {
+    assert.ok(a.last("waiting"));
+    assert.deepEqual(a.last("matched"), { type: "matched", target: 2 });
+    assert.deepEqual(b.last("matched"), { type: "matched", target: 2 });
+  });
+
+  it("counts makes that go in and plays to the target", () => {
+    shoot(a, 1, MAKE, true);
+    assert.deepEqual(a.last("score"), { type: "score", you: 1, opponent: 0 });
+    assert.deepEqual(b.last("score"), { type: "score", you: 0, opponent: 1 });
+
+    shoot(a, 2, MAKE, true);
+    assert.equal(a.last("finished").winner, "you");
+    assert.equal(b.last("finished").winner, "opponent");
+  });
+
+  it("rejects a make the shot could not have scored", () => {
+    shoot(a, 1, MISS, true);
+    assert.deepEqual(a.last("rejected"), {
+      type: "rejected",
+      shotId: 1,
+      reason: "shot does not go in",
+    });
+    assert.equal(a.last("score"), undefined);
+  });
+
+  it("counts each shot once", () => {
+    shoot(a, 1, MAKE, true);
+    a.receive({ type: "result", shotId: 1, made: true });
+
+    assert.equal(a.last("rejected").reason, "unknown shot");
+    assert.equal(a.last("score").you, 1);
+  });
+
+  it("forgets shots once they are resolved or too old to count", () => {
+    shoot(a, 1, MAKE, true);
+    shoot(a, 2, MISS, false);
+    assert.equal(playerA.shots.size, 0);
+
+    // Results that never come
+    now += 1000;
+    a.receive({
+      type: "shot",
+      shotId: 3,
+      position: SPAWN,
+      velocity: AT_REST,
+      force: MISS,
+    });
+    assert.equal(playerA.shots.size, 1);
+    now += 10000;
+    a.receive({
+      type: "shot",
+      shotId: 4,
+      position: SPAWN,
+      velocity: AT_REST,
+      force: MISS,
+    });
+    assert.deepEqual([...playerA.shots.keys()], [4]);
+  });
+});
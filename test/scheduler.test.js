@@ -0,0 +1,74 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { Scheduler } from "../src/js/game/Scheduler.js";
+
+describe("Scheduler", () => {
+  let scheduler;
+  let calls;
+
+  beforeEach(() => {
+    scheduler = new Scheduler();
+    calls = [];
+  });
+
+  it("runs callbacks once their game time has passed, soonest first", () => {
+    scheduler.schedule(200, () => calls.push("b"));
+    scheduler.schedule(100, () => calls.push("a"));
+    scheduler.schedule(200, () => calls.push("c"));
+
+    scheduler.update(150);
+    assert.deepEqual(calls, ["a"]);
+
+    scheduler.update(50);
+    assert.deepEqual(calls, ["a", "b", "c"]);
+    assert.equal(scheduler.now(), 200);
+  });
+
+  it("cancels pending callbacks by handle", () => {
+    const id = scheduler.schedule(100, () => calls.push("cancelled"));
+    scheduler.schedule(100, () => calls.push("kept"));
+
+    assert.equal(scheduler.isPending(id), true);
+    scheduler.cancel(id);
+    scheduler.cancel(id); // Twice is harmless
+    scheduler.update(100);
+
+    assert.deepEqual(calls, ["kept"]);
+    assert.equal(scheduler.isPending(id), false);
+  });
+
+  it("stands still while paused", () => {
+    scheduler.schedule(100, () => calls.push("done"));
+
+    scheduler.pause();
+    scheduler.update(500);
+    assert.deepEqual(calls, []);
+    assert.equal(scheduler.now(), 0);
+
+    scheduler.resume();
+    scheduler.update(100);
+    assert.deepEqual(calls, ["done"]);
+  });
+
+  it("stretches delays in slow motion", () => {
+    scheduler.schedule(100, () => calls.push("done"));
+    scheduler.timeScale = 0.25;
+
+    scheduler.update(200);
+    assert.deepEqual(calls, []);
+
+    scheduler.update(200);
+    assert.deepEqual(calls, ["done"]);
+  });
+
+  it("runs callbacks scheduled by a callback once they are due", () => {
+    scheduler.schedule(50, () => {
+      calls.push("first");
+      scheduler.schedule(0, () => calls.push("chained"));
+      scheduler.schedule(100, () => calls.push("later"));
+    });
+
+    scheduler.update(60);
+    assert.deepEqual(calls, ["first", "chained"]);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_SETTINGS,
+  SETTINGS_KEY,
+  SETTINGS_VERSION,
+  loadSettings,
+  normalizeSettings,
+  saveSettings,
+} from "../src/js/game/Settings.js";
+
+// Just enough of the Storage interface
+class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+}
+
+describe("Settings", () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = new MemoryStorage();
+  });
+
+  it("starts from the defaults", () => {
+    assert.deepEqual(loadSettings(storage), DEFAULT_SETTINGS);
+  });
+
+  it("round-trips through storage as versioned JSON", () => {
+    const settings = {
+      ...DEFAULT_SETTINGS,
+      sensitivity: 1.3,
+      trajectory: false,
+      graphics: "low",
+      leftHanded: true,
+    };
+    saveSettings(settings, storage);
+
+    const stored = JSON.parse(storage.getItem(SETTINGS_KEY));
+    assert.equal(stored.version, SETTINGS_VERSION);
+    assert.deepEqual(loadSettings(storage), settings);
+  });
+
+  it("clamps out-of-range values and drops invalid ones", () => {
+    const settings = normalizeSettings({
+      sensitivity: 9,
+      aimAssist: -1,
+      volume: "loud",
+      graphics: "ultra",
+      trajectory: false,
+    });
+
+    assert.equal(settings.sensitivity, 1.5);
+    assert.equal(settings.aimAssist, 0);
+    assert.equal(settings.volume, DEFAULT_SETTINGS.volume);
+    assert.equal(settings.graphics, DEFAULT_SETTINGS.graphics);
+    assert.equal(settings.trajectory, false);
+  });
+
+  it("keeps only the aim guides the game knows", () => {
+    assert.equal(normalizeSettings({ aimGuide: "short" }).aimGuide, "short");
+    assert.equal(
+      normalizeSettings({ aimGuide: "laser" }).aimGuide,
+      DEFAULT_SETTINGS.aimGuide,
+    );
+  });
+
+  it("falls back to the defaults for a corrupt entry", () => {
+    storage.setItem(SETTINGS_KEY, "{not json");
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      assert.deepEqual(loadSettings(storage), DEFAULT_SETTINGS);
+    } finally {
+      console.error = originalError;
+    }
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  solveShot,
+  findShot,
+  getReleaseAngle,
+} from "../src/js/utils/shotSolver.js";
+import {
+  simulateTrajectory,
+  closestApproach,
+} from "../src/js/utils/ballistics.js";
+
+const PROBLEM = {
+  position: { x: 0, y: 1.5, z: 2 },
+  target: { x: 0, y: 3.05, z: -4.9 },
+  gravity: { x: 0, y: -12, z: 0 },
+  mass: 0.48,
+};
+
+describe("solveShot", () => {
+  it("finds arcs that pass through the target", () => {
+    const solutions = solveShot(PROBLEM);
+    assert.ok(solutions.length > 0);
+
+    for (const { velocity } of solutions) {
+      const points = simulateTrajectory({
+        position: PROBLEM.position,
+        velocity,
+        gravity: PROBLEM.gravity,
+        step: 1 / 600,
+      });
+      assert.ok(closestApproach(points, PROBLEM.target) < 0.05);
+    }
+  });
+
+  it("turns velocity into an impulse for the ball's mass", () => {
+    const [{ velocity, force }] = solveShot(PROBLEM);
+    assert.ok(Math.abs(force.y - velocity.y * PROBLEM.mass) < 1e-9);
+    assert.ok(Math.abs(force.z - velocity.z * PROBLEM.mass) < 1e-9);
+  });
+
+  it("releases at the sampled angle and aims along the floor at the target", () => {
+    const problem = { ...PROBLEM, position: { x: 3, y: 1.5, z: -1 } };
+    for (const { angle, velocity } of solveShot(problem)) {
+      assert.ok(Math.abs(getReleaseAngle(velocity) - angle) < 1e-9);
+      // Heading matches the direction to the target (-3, -3.9)
+      assert.ok(Math.abs(velocity.x / velocity.z - 3 / 3.9) < 1e-9);
+    }
+  });
+
+  it("skips angles that come in too flat to drop through the rim", () => {
+    const solutions = solveShot({ ...PROBLEM, angles: [20, 60] });
+    assert.deepEqual(
+      solutions.map(({ angle }) => angle),
+      [60],
+    );
+    assert.ok(solutions[0].entryAngle >= 30);
+  });
+
+  it("has no solution straight under the hoop", () => {
+    const position = { ...PROBLEM.target, y: 1 };
+    assert.deepEqual(solveShot({ ...PROBLEM, position }), []);
+  });
+});
+
+describe("findShot", () => {
+  it("picks the solution released closest to the wanted angle", () => {
+    assert.equal(findShot(PROBLEM, 57).angle, 55);
+    assert.equal(findShot(PROBLEM, 90).angle, 70);
+  });
+
+  it("returns null when nothing scores", () => {
+    assert.equal(findShot({ ...PROBLEM, angles: [10] }, 10), null);
+  });
+});
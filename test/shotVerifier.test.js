@@ -0,0 +1,208 @@
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+import { ShotVerifier } from "../server/ShotVerifier.js";
+import { createLevel } from "../src/js/game/LevelConfig.js";
+import { findShot } from "../src/js/utils/shotSolver.js";
+import { createSimulation, runShot } from "./headless.js";
+
+const SPAWN = { x: 0, y: 1.5, z: 2 };
+const GRAVITY = { x: 0, y: -12, z: 0 };
+const MASS = 0.48; // The default ball's physics body
+const AT_REST = { x: 0, y: 0, z: 0 };
+
+// A solved shot from the spawn at a point near the rim
+function aimAt(target) {
+  return findShot(
+    { position: SPAWN, target, gravity: GRAVITY, mass: MASS },
+    55,
+  );
+}
+
+describe("ShotVerifier", () => {
+  const level = createLevel();
+  const verifier = new ShotVerifier();
+
+  it("counts a shot that drops through the rim", () => {
+    const { force } = aimAt({ x: 0, y: 3.05, z: -4.95 });
+    const shot = { position: SPAWN, velocity: AT_REST, force, spin: null };
+    assert.equal(verifier.checkShot(level, shot, Infinity), null);
+    assert.equal(verifier.isMake(level, shot), true);
+  });
+
+  it("turns down shots that miss, clank or sail past the rim", () => {
+    const { force } = aimAt({ x: 0, y: 3.05, z: -4.95 });
+    const short = { x: force.x, y: force.y * 0.9, z: force.z * 0.9 };
+    assert.equal(
+      verifier.isMake(level, {
+        position: SPAWN,
+        velocity: AT_REST,
+        force: short,
+      }),
+      false,
+    );
+
+    // Straight at the front of the rim, and wide of it
+    for (const target of [
+      { x: 0, y: 3.05, z: -4.6 },
+      { x: 0.6, y: 3.05, z: -4.95 },
+    ]) {
+      const shot = {
+        position: SPAWN,
+        velocity: AT_REST,
+        force: aimAt(target).force,
+      };
+      assert.equal(verifier.isMake(level, shot), false);
+    }
+  });
+
+  it("follows a moving hoop along its path from the reported time", () => {
+    const moving = createLevel({
+      hoop: { motion: { type: "slide", amplitude: 0.8, period: 4 } },
+    });
+    const { force, flightTime } = aimAt({ x: 0.8, y: 3.05, z: -4.95 });
+
+    // Arriving as the hoop reaches the right end of its slide (a quarter
+    // period in), then half a period later at the left end
+    const inTime = {
+      position: SPAWN,
+      velocity: AT_REST,
+      force,
+      hoopTime: 1 - flightTime,
+    };
+    const late = {
+      position: SPAWN,
+      velocity: AT_REST,
+      force,
+      hoopTime: 3 - flightTime,
+    };
+    assert.equal(verifier.isMake(moving, inTime), true);
+    assert.equal(verifier.isMake(moving, late), false);
+    assert.equal(verifier.isMake(level, inTime), false); // Static hoop
+  });
+
+  it("rejects malformed, too hard, misplaced and rushed shots", () => {
+    const force = { x: 0, y: 2, z: -1 };
+    const check = (shot, since = Infinity) =>
+      verifier.checkShot(
+        level,
+        { position: SPAWN, velocity: AT_REST, force, ...shot },
+        since,
+      );
+
+    assert.equal(check({ force: { x: 0, y: "2", z: -1 } }), "malformed shot");
+    assert.equal(check({ velocity: null }), "malformed shot");
+    assert.equal(check({ hoopTime: NaN }), "malformed shot");
+    assert.equal(check({ force: { x: 0, y: 40, z: 0 } }), "shot too hard");
+    assert.equal(
+      check({ position: { x: 2, y: 1.5, z: 2 } }),
+      "shot from the wrong spot",
+    );
+    assert.equal(
+      check({ position: { x: 0, y: 2.4, z: 2 } }),
+      "shot from the wrong spot",
+    );
+    assert.equal(check({}, 100), "shots too close together");
+
+    // The ball may still be bouncing at the spawn, but no faster than the
+    // drop allows and barely sideways
+    const bouncing = { x: 0, y: 0.8, z: 2 };
+    assert.equal(
+      check({ position: bouncing, velocity: { x: 0, y: -4, z: 0 } }),
+      null,
+    );
+    assert.equal(
+      check({ position: bouncing, velocity: { x: 0, y: 8, z: 0 } }),
+      "ball moving too fast",
+    );
+    assert.equal(
+      check({ position: bouncing, velocity: { x: 0, y: 0, z: -2 } }),
+      "ball moving too fast",
+    );
+  });
+
+  it("only counts makes of accepted shots that go in, in time", () => {
+    const shot = { time: 1000, isValid: true, goesIn: true };
+    assert.equal(verifier.checkMake(shot, 2000), null);
+    assert.equal(verifier.checkMake(undefined, 2000), "unknown shot");
+    assert.equal(
+      verifier.checkMake({ ...shot, isValid: false }, 2000),
+      "shot was rejected",
+    );
+    assert.equal(
+      verifier.checkMake({ ...shot, goesIn: false }, 2000),
+      "shot does not go in",
+    );
+    assert.equal(verifier.checkMake(shot, 8000), "result came too late");
+  });
+});
+
+describe("ShotVerifier against the physics", () => {
+  let simulation;
+
+  before(async () => {
+    simulation = await createSimulation();
+  });
+
+  // Swipes from the spawn (see shots.test.js) and whether they go in
+  const SWIPES = [
+    { force: { x: 0, y: 3.6, z: -1.1 }, made: true }, // Swish
+    { force: { x: 0, y: 3, z: -1.3 }, made: true }, // Off the rim
+    { force: { x: 0, y: 3, z: -1.4 }, made: true }, // Off the backboard
+    { force: { x: 0, y: 3.1, z: -1.2 }, made: false }, // Clank
+    { force: { x: 0, y: 1, z: -1 }, made: false }, // Airball
+    { force: { x: 0, y: 3.5, z: -2 }, made: false }, // Over the backboard
+  ];
+
+  for (const { force, made } of SWIPES) {
+    it(`agrees that (${force.x}, ${force.y}, ${force.z}) ${made ? "goes in" : "misses"}`, () => {
+      simulation.resetBall(SPAWN);
+      const shaped = simulation.shapeShot(
+        new THREE.Vector3(force.x, force.y, force.z),
+      );
+      const result = runShot(simulation, { impulse: shaped.force });
+      assert.equal(result.made, made);
+
+      const verifier = new ShotVerifier();
+      const shot = { position: SPAWN, velocity: AT_REST, force: shaped.force };
+      assert.equal(verifier.isMake(simulation.level, shot), made);
+    });
+  }
+
+  // Solved shots, on target and short, taken while the ball is still
+  // bouncing: the release velocity adds to the impulse
+  for (const settle of [0.2, 0.5, 0.8]) {
+    it(`agrees on shots taken ${settle}s after the ball is dropped`, () => {
+      const verifier = new ShotVerifier();
+      for (const [scale, made] of [
+        [1, true],
+        [0.9, false],
+      ]) {
+        let shot;
+        const result = runShot(simulation, {
+          settle,
+          aim: () => {
+            const { x, y, z } = simulation.findPerfectShot(55).velocity;
+            const force = simulation.getLaunchImpulse({
+              x: x * scale,
+              y: y * scale,
+              z: z * scale,
+            });
+            shot = {
+              position: simulation.basketball.getBodyPosition(),
+              velocity: simulation.basketball.getVelocity(),
+              force,
+            };
+            return force;
+          },
+        });
+        assert.equal(result.made, made);
+        assert.equal(
+          verifier.checkShot(simulation.level, shot, Infinity),
+          null,
+        );
+        assert.equal(verifier.isMake(simulation.level, shot), made);
+      }
+    });
+  }
+});
@@ -0,0 +1,249 @@
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+import { createSimulation, runShot } from "./headless.js";
+
+// Swipe forces (before shaping) from the default level's spawn point
+const SHOTS = [
+  {
+    name: "a high soft arc swishes",
+    force: { x: 0, y: 3.6, z: -1.1 },
+    expect: { made: true, type: "swish" },
+  },
+  {
+    name: "a slightly longer arc drops in off the rim",
+    force: { x: 0, y: 3, z: -1.3 },
+    expect: { made: true, type: "rim-in", touches: "rim" },
+  },
+  {
+    name: "a flatter shot banks in off the backboard",
+    force: { x: 0, y: 3, z: -1.4 },
+    expect: { made: true, type: "bank", touches: "backboard" },
+  },
+  {
+    name: "a short arc clanks off the rim",
+    force: { x: 0, y: 3.1, z: -1.2 },
+    expect: { made: false, first: "rim" },
+  },
+  {
+    name: "a weak flick is an airball",
+    force: { x: 0, y: 1, z: -1 },
+    expect: { made: false, misses: ["rim", "backboard"] },
+  },
+  {
+    name: "a hard line drive sails over the backboard",
+    force: { x: 0, y: 3.5, z: -2 },
+    expect: { made: false, misses: ["rim", "backboard"] },
+  },
+];
+
+describe("shots from the spawn point", () => {
+  let simulation;
+
+  before(async () => {
+    simulation = await createSimulation();
+  });
+
+  for (const { name, force, expect } of SHOTS) {
+    it(name, () => {
+      const result = runShot(simulation, { force });
+
+      assert.equal(result.made, expect.made);
+      if (expect.type) assert.equal(result.type, expect.type);
+      if (expect.touches) assert.ok(result.touched.includes(expect.touches));
+      if (expect.first) assert.equal(result.touched[0], expect.first);
+      for (const surface of expect.misses || []) {
+        assert.ok(!result.touched.includes(surface), `touched ${surface}`);
+      }
+    });
+  }
+});
+
+describe("shot solver", () => {
+  let simulation;
+
+  before(async () => {
+    simulation = await createSimulation();
+  });
+
+  // The spawn point, off to each side, and close in
+  const SPOTS = [
+    { x: 0, y: 1.5, z: 2 },
+    { x: 2, y: 1.5, z: 1 },
+    { x: -3, y: 1.5, z: -1 },
+    { x: 0, y: 1.5, z: -3 },
+  ];
+
+  for (const position of SPOTS) {
+    it(`scores from (${position.x}, ${position.z}) at every solved angle`, () => {
+      simulation.resetBall(position);
+      const solutions = simulation.solveShot();
+      assert.ok(solutions.length > 0);
+
+      for (const { angle, force } of solutions) {
+        const result = runShot(simulation, { impulse: force, position });
+        assert.ok(result.made, `missed at ${angle}°`);
+      }
+    });
+  }
+
+  // Shot mid-bounce, at heights from which the solved arc is clean (close
+  // in, or from near the floor, it can clip the rim even from rest)
+  for (const position of SPOTS.slice(0, 3)) {
+    it(`scores from (${position.x}, ${position.z}) while the ball is still bouncing`, () => {
+      for (const settle of [0.15, 0.55, 0.85]) {
+        const result = runShot(simulation, {
+          position,
+          settle,
+          aim: () => simulation.findPerfectShot(55).force,
+        });
+        assert.ok(result.made, `missed after ${settle}s`);
+      }
+    });
+  }
+});
+
+describe("flight prediction", () => {
+  let simulation;
+
+  before(async () => {
+    simulation = await createSimulation();
+  });
+
+  // Launch a swipe (after letting the ball bounce for `settle` seconds) and
+  // compare the predicted path with Ammo's, step by step
+  function compareFlight(force, spin = null, settle = 0) {
+    simulation.resetBall(simulation.level.ball.spawn);
+    for (let t = 0; t < settle; t += simulation.fixedTimeStep) {
+      simulation.step();
+    }
+    const shaped = simulation.shapeShot(
+      new THREE.Vector3(force.x, force.y, force.z),
+      spin ? new THREE.Vector3(spin.x, spin.y, spin.z) : null,
+    );
+    const prediction = simulation.predictShot(shaped.force, shaped.spin);
+
+    // The mesh shows the body's transform one step late
+    simulation.shoot(shaped.force, shaped.spin);
+    simulation.step();
+
+    const firstContact = prediction.bounces.length
+      ? prediction.bounces[0].index
+      : prediction.points.length - 1; // Last point is clamped to the floor
+    let maxError = 0;
+    for (let i = 0; i < firstContact; i++) {
+      simulation.step();
+      const predicted = prediction.points[i];
+      maxError = Math.max(
+        maxError,
+        simulation.basketball.getPosition().distanceTo(predicted),
+      );
+    }
+    return { prediction, maxError };
+  }
+
+  it("matches the physics up to the first contact", () => {
+    const { maxError } = compareFlight({ x: 0, y: 3.6, z: -1.1 });
+    assert.ok(maxError < 1e-3, `off by ${maxError}`);
+  });
+
+  it("matches the physics with spin", () => {
+    const { maxError } = compareFlight(
+      { x: 0.5, y: 3.6, z: -1.1 },
+      { x: -8, y: 2, z: 0 },
+    );
+    assert.ok(maxError < 1e-3, `off by ${maxError}`);
+  });
+
+  it("matches the physics when shot while the ball is still bouncing", () => {
+    const { maxError } = compareFlight({ x: 0, y: 3.6, z: -1.1 }, null, 0.5);
+    assert.ok(maxError < 1e-3, `off by ${maxError}`);
+  });
+
+  it("reports the bounce off the backboard", () => {
+    const { prediction } = compareFlight({ x: 0, y: 3, z: -1.4 });
+    assert.equal(prediction.bounces[0].name, "backboard");
+  });
+
+  it("stops at the first contact when not following bounces", () => {
+    simulation.resetBall(simulation.level.ball.spawn);
+    const { force } = simulation.shapeShot(new THREE.Vector3(0, 3, -1.4));
+    const full = simulation.predictShot(force, null, { maxBounces: 1 });
+    const short = simulation.predictShot(force, null, { maxBounces: 0 });
+
+    assert.equal(short.points.length, full.bounces[0].index + 1);
+  });
+
+  // Steps of a shot at which the ball in flight is predicted to hit the
+  // rim or backboard within the lookahead (what triggers slow motion)
+  function closeCalls(force, lookahead = 0.4) {
+    simulation.resetBall(simulation.level.ball.spawn);
+    const shaped = simulation.shapeShot(
+      new THREE.Vector3(force.x, force.y, force.z),
+    );
+    simulation.shoot(shaped.force, shaped.spin);
+    simulation.step();
+
+    const steps = [];
+    for (let i = 0; i < 90 && !simulation.isBasket(); i++) {
+      simulation.step();
+      const { bounces } = simulation.predictBall({
+        duration: lookahead,
+        maxBounces: 0,
+      });
+      if (bounces.length) steps.push(i);
+    }
+    return steps;
+  }
+
+  it("sees a bank shot coming off the backboard from mid-flight", () => {
+    const steps = closeCalls({ x: 0, y: 3, z: -1.4 });
+    assert.ok(steps.length > 0);
+    assert.ok(steps[0] > 10); // Not from the release
+  });
+
+  it("doesn't flag a clean swish", () => {
+    assert.deepEqual(closeCalls({ x: 0, y: 3.6, z: -1.1 }), []);
+  });
+});
+
+describe("shot shaping", () => {
+  let simulation;
+
+  before(async () => {
+    simulation = await createSimulation();
+    simulation.resetBall(simulation.level.ball.spawn);
+  });
+
+  it("adds arc and scales forward force with distance", () => {
+    const { force } = simulation.shapeShot(new THREE.Vector3(0, 1, -1));
+    const distance = simulation.basketball
+      .getPosition()
+      .distanceTo(simulation.hoop.getRimPosition());
+
+    assert.equal(force.x, 0);
+    assert.ok(Math.abs(force.y - 1.8) < 1e-9);
+    assert.ok(Math.abs(force.z + distance / 5) < 1e-9);
+  });
+
+  it("turns the shot to face the hoop from a rotated view", () => {
+    const swipe = new THREE.Vector3(0, 1, -1);
+    const straight = simulation.shapeShot(swipe).force;
+    const turned = simulation.shapeShot(swipe, null, Math.PI / 2).force;
+
+    // A quarter turn sends the forward force along -x instead of -z
+    assert.ok(Math.abs(turned.y - straight.y) < 1e-9);
+    assert.ok(turned.x < 0);
+    assert.ok(Math.abs(turned.x) > Math.abs(turned.z));
+  });
+
+  it("pulls a straight swipe from the side towards the hoop", () => {
+    simulation.resetBall({ x: 2, y: 1.5, z: 1 });
+    const { force } = simulation.shapeShot(new THREE.Vector3(0, 2, -2));
+
+    // Assist only corrects part of the miss, and only sideways
+    const perfect = simulation.findPerfectShot(45);
+    assert.ok(force.x < 0 && force.x > perfect.force.x);
+    assert.ok(Math.abs(force.y - 3.6) < 1e-9);
+  });
+});